@@ -0,0 +1,119 @@
+// 共有セッションの参加者のアバター - 頭（向きの分かる球）と手（小さな箱）と名前
+//
+// 位置は太陽系（scaleGroup）の座標で受け取るので、アバターの group は scaleGroup に置く。
+// 大きさ（size）も送り手の太陽系の座標での頭の大きさなので、拡大縮小しても太陽系との位置関係は同じに見える。
+import * as THREE from 'three';
+import { createTextSprite } from './labels.js';
+
+const STALE_TIME = 5; // 秒（これより長く位置が届かなければ隠す）
+const SMOOTHING = 12; // 受け取った位置へ近づく速さ（1/秒）
+
+// id ごとに見分けやすい色
+function avatarColor(id) {
+    return new THREE.Color().setHSL((id * 0.618034) % 1, 0.65, 0.55);
+}
+
+function createAvatar(id, name) {
+    const color = avatarColor(id);
+    const avatar = new THREE.Group();
+
+    const head = new THREE.Group();
+    const skull = new THREE.Mesh(
+        new THREE.SphereGeometry(0.5, 16, 12),
+        new THREE.MeshBasicMaterial({ color: color, transparent: true, opacity: 0.8 })
+    );
+    // 向いている方向（-Z）に目隠しの板を付ける
+    const visor = new THREE.Mesh(
+        new THREE.BoxGeometry(0.7, 0.25, 0.2),
+        new THREE.MeshBasicMaterial({ color: 0x111111 })
+    );
+    visor.position.set(0, 0.08, -0.45);
+    head.add(skull, visor);
+
+    const label = createTextSprite(name);
+    label.scale.set(0.4 * label.userData.aspect, 0.4, 1);
+    label.position.set(0, 0.9, 0);
+    label.visible = true;
+    head.add(label);
+
+    const hands = [0, 1].map(() => {
+        const hand = new THREE.Mesh(
+            new THREE.BoxGeometry(0.25, 0.15, 0.35),
+            new THREE.MeshBasicMaterial({ color: color })
+        );
+        hand.visible = false;
+        return hand;
+    });
+
+    avatar.add(head, ...hands);
+    avatar.traverse((object) => {
+        if (object !== label) object.raycast = () => {};
+    });
+    avatar.userData = { head, hands, label, name, age: 0, pose: null };
+    return avatar;
+}
+
+function applyTransform(object, transform, size, step) {
+    object.position.lerp(new THREE.Vector3().fromArray(transform.p), step);
+    object.quaternion.slerp(new THREE.Quaternion().fromArray(transform.q), step);
+    object.scale.setScalar(size);
+}
+
+export class Avatars {
+    constructor() {
+        this.group = new THREE.Group();
+        this.avatars = new Map(); // 参加者のID → アバター
+    }
+
+    // pose: { head: { p, q }, hands: [{ p, q } | null], size }（p: 位置、q: 四元数、太陽系の座標）
+    setPose(id, name, pose) {
+        let avatar = this.avatars.get(id);
+        if (!avatar || avatar.userData.name !== name) {
+            this.remove(id);
+            avatar = createAvatar(id, name);
+            this.avatars.set(id, avatar);
+            this.group.add(avatar);
+        }
+
+        const isFirst = avatar.userData.pose === null;
+        avatar.userData.pose = pose;
+        avatar.userData.age = 0;
+        if (isFirst) this.applyPose(avatar, 1);
+    }
+
+    applyPose(avatar, step) {
+        const { head, hands, pose } = avatar.userData;
+        applyTransform(head, pose.head, pose.size, step);
+        hands.forEach((hand, index) => {
+            const transform = pose.hands?.[index];
+            hand.visible = Boolean(transform);
+            if (transform) applyTransform(hand, transform, pose.size, step);
+        });
+    }
+
+    remove(id) {
+        const avatar = this.avatars.get(id);
+        if (!avatar) return;
+        this.avatars.delete(id);
+        avatar.removeFromParent();
+        avatar.traverse((object) => {
+            object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+    }
+
+    clear() {
+        [...this.avatars.keys()].forEach(id => this.remove(id));
+    }
+
+    // 受け取った位置へなめらかに動かし、しばらく届かないアバターは隠す
+    update(deltaTime) {
+        const step = 1 - Math.exp(-SMOOTHING * deltaTime);
+        this.avatars.forEach((avatar) => {
+            avatar.userData.age += deltaTime;
+            avatar.visible = avatar.userData.age < STALE_TIME;
+            if (avatar.visible) this.applyPose(avatar, step);
+        });
+    }
+}
@@ -0,0 +1,194 @@
+// 小惑星帯・カイパーベルト - 個々に公転する多数の粒子を1つの Points で描く
+//
+// 粒子ごとの軌道要素を頂点属性に持ち、位置（ケプラー方程式）は頂点シェーダーで計算する。
+// 表示上の距離は scale-modes.js の heliocentricDistance と同じ式（線形と log2(1 + a) を重み付け）。
+import * as THREE from 'three';
+import { UNITS_PER_AU } from './scale-modes.js';
+
+const DEG = Math.PI / 180;
+const GAUSSIAN_DAILY_MOTION = 0.9856076686; // 1 AU の円軌道の平均運動（度/日）
+
+function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function uniform(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+// 木星との平均運動共鳴で粒子がほとんどない軌道長半径（AU）
+const KIRKWOOD_GAPS = [2.502, 2.825, 2.958, 3.279];
+
+// sample() は粒子1個の { a（AU）, e, i（度） }。node・peri・M は一様に散らす（表示名は表の belt.<id>）
+export const BELTS = [
+    {
+        id: 'asteroids',
+        color: 0xa09080,
+        defaultCount: 5000,
+        sample() {
+            let a;
+            do {
+                a = uniform(2.1, 3.3);
+            } while (KIRKWOOD_GAPS.some(gap => Math.abs(a - gap) < 0.015));
+
+            return {
+                a: a,
+                e: Math.min(Math.abs(0.12 + gaussian() * 0.07), 0.4),
+                i: Math.abs(gaussian() * 8)
+            };
+        }
+    },
+    {
+        id: 'kuiper',
+        color: 0x8fa0b8,
+        defaultCount: 3000,
+        sample() {
+            const kind = Math.random();
+            if (kind < 0.2) {
+                // 冥王星族（海王星と3:2共鳴）
+                return { a: uniform(39.2, 39.6), e: uniform(0.1, 0.3), i: Math.abs(gaussian() * 10) };
+            }
+            if (kind < 0.9) {
+                // 古典的カイパーベルト天体（傾斜の小さい群と大きい群）
+                const hot = Math.random() < 0.3;
+                return { a: uniform(42, 48), e: uniform(0, 0.1), i: Math.abs(gaussian() * (hot ? 15 : 3)) };
+            }
+            // 散乱円盤天体
+            return { a: uniform(50, 100), e: uniform(0.3, 0.6), i: Math.abs(gaussian() * 20) };
+        }
+    }
+];
+
+export const BELT_COUNTS = [1000, 3000, 5000, 10000, 30000];
+
+export function getBelt(id) {
+    return BELTS.find(belt => belt.id === id) || null;
+}
+
+const vertexShader = `
+uniform float days;
+uniform float unitsPerAU;
+uniform float logDistanceWeight;
+uniform float pointSize;
+attribute vec4 shape; // a（AU）, e, i, node（ラジアン）
+attribute vec3 phase; // peri, J2000 の M（ラジアン）, 平均運動（ラジアン/日）
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+void main() {
+    float a = shape.x;
+    float e = shape.y;
+    float M = mod(phase.y + phase.z * days, PI2);
+
+    // ケプラー方程式（ニュートン法）
+    float E = M + e * sin(M);
+    for (int k = 0; k < 5; k++) {
+        E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+    }
+    float xp = a * (cos(E) - e);
+    float yp = a * sqrt(1.0 - e * e) * sin(E);
+
+    // 軌道面 → 黄道座標 → シーン座標 (x, z, -y)
+    float cosO = cos(shape.w), sinO = sin(shape.w);
+    float cosw = cos(phase.x), sinw = sin(phase.x);
+    float cosi = cos(shape.z), sini = sin(shape.z);
+    float x = (cosw * cosO - sinw * sinO * cosi) * xp + (-sinw * cosO - cosw * sinO * cosi) * yp;
+    float y = (cosw * sinO + sinw * cosO * cosi) * xp + (-sinw * sinO + cosw * cosO * cosi) * yp;
+    float z = (sinw * sini) * xp + (cosw * sini) * yp;
+
+    // 表示スケールモードの軌道長半径（線形と対数圧縮を対数空間で補間）
+    float displayDistance = pow(a, 1.0 - logDistanceWeight) * pow(log2(1.0 + a), logDistanceWeight);
+    vec3 transformed = vec3(x, z, -y) * (unitsPerAU * displayDistance / a);
+
+    vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = pointSize;
+    #include <logdepthbuf_vertex>
+}
+`;
+
+const fragmentShader = `
+uniform vec3 color;
+uniform float opacity;
+#include <common>
+#include <logdepthbuf_pars_fragment>
+
+void main() {
+    #include <logdepthbuf_fragment>
+    vec2 offset = gl_PointCoord - 0.5;
+    if (dot(offset, offset) > 0.25) discard; // 丸い点にする
+    gl_FragColor = vec4(color, opacity);
+    #include <colorspace_fragment>
+}
+`;
+
+export class ParticleBelt {
+    constructor(belt, count = belt.defaultCount) {
+        this.belt = belt;
+        this.uniforms = {
+            days: { value: 0 },
+            unitsPerAU: { value: UNITS_PER_AU },
+            logDistanceWeight: { value: 0 },
+            pointSize: { value: 2 },
+            color: { value: new THREE.Color(belt.color) },
+            opacity: { value: 0.8 }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: vertexShader,
+            fragmentShader: fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.mesh = new THREE.Points(new THREE.BufferGeometry(), material);
+        this.mesh.frustumCulled = false; // 位置はシェーダーで決まるため
+        this.mesh.raycast = () => {};
+        this.setCount(count);
+    }
+
+    get count() {
+        return this.mesh.geometry.getAttribute('shape')?.count ?? 0;
+    }
+
+    // 粒子数を変えて軌道要素を作り直す
+    setCount(count) {
+        const shape = new Float32Array(count * 4);
+        const phase = new Float32Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            const { a, e, i: inclination } = this.belt.sample();
+            shape.set([a, e, inclination * DEG, Math.random() * Math.PI * 2], i * 4);
+            phase.set([
+                Math.random() * Math.PI * 2,
+                Math.random() * Math.PI * 2,
+                GAUSSIAN_DAILY_MOTION / Math.pow(a, 1.5) * DEG
+            ], i * 3);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3)); // 描画数のため
+        geometry.setAttribute('shape', new THREE.BufferAttribute(shape, 4));
+        geometry.setAttribute('phase', new THREE.BufferAttribute(phase, 3));
+
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = geometry;
+    }
+
+    // days: J2000からの経過日数
+    update(days) {
+        this.uniforms.days.value = days;
+    }
+
+    // 0: 距離は線形、1: 対数圧縮（scale-modes.js の distance）
+    setLogDistanceWeight(weight) {
+        this.uniforms.logDistanceWeight.value = weight;
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
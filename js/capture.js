@@ -0,0 +1,122 @@
+// 画像の保存 - 表示中の画面のPNGと、一定の時間間隔で進めた連番PNG（ZIP）の書き出し
+//
+// 連番は実時間ではなく、1コマごとにシミュレーション時刻を step だけ進めて描くので、描画の速さに関係なく同じ結果になる。
+// 動画にするときは、展開したフォルダで例えば ffmpeg -framerate 30 -i frame_%04d.png -pix_fmt yuv420p solar-system.mp4
+import { t } from './i18n.js';
+
+export const MAX_CAPTURE_SIZE = 8192; // px（GPUの上限がこれより小さければそちら）
+export const MAX_EXPORT_FRAMES = 3000;
+export const MAX_EXPORT_BYTES = 1024 ** 3; // 書き出し中にメモリーに持つPNGの合計の上限（1 GiB）
+const MAX_ZIP_SIZE = 0xffffffff; // ZIP64を使わないZIPで表せる位置・大きさの上限（4 GiB）
+export const FRAME_DELTA = 1 / 30; // 書き出しの1コマを実時間何秒とみなすか（カメラの追従などのなめらかさ）
+
+// 1コマで進める時間の選択肢（表示名は表の exportStep.<id>）
+export const EXPORT_STEPS = [
+    { id: 'hour', ms: 3600000 },
+    { id: 'day', ms: 86400000 },
+    { id: 'week', ms: 7 * 86400000 },
+    { id: 'month', ms: 30.436875 * 86400000 }
+];
+
+export function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(t('capture.blobFailed')));
+            }
+        }, 'image/png');
+    });
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 連番のファイル名（並べ替えで順番どおりになるよう桁をそろえる）
+export function getFrameName(index, count) {
+    const digits = Math.max(4, String(count).length);
+    return `frame_${String(index + 1).padStart(digits, '0')}.png`;
+}
+
+// ---- ZIP（PNGはもう圧縮されているので無圧縮で格納する） ----
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }]。更新日時は固定（1980-01-01）にして、同じ内容なら同じZIPになるようにする
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    // 4 GiB を超えると DataView.setUint32 は黙って切り捨てるので、書く前に確かめる
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        if (offset + 30 + nameBytes.length + data.length > MAX_ZIP_SIZE) {
+            throw new Error(t('capture.zipTooLarge'));
+        }
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // 展開に必要な版
+        local.setUint16(6, 0x0800, true); // ファイル名はUTF-8
+        local.setUint16(8, 0, true); // 無圧縮
+        local.setUint16(10, 0, true); // 時刻
+        local.setUint16(12, 0x21, true); // 日付（1980-01-01）
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true); // ローカルヘッダーの位置（ほかの項目は0）
+        directory.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    if (offset + directorySize + 22 > MAX_ZIP_SIZE || files.length > 0xffff) {
+        throw new Error(t('capture.zipTooLarge'));
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
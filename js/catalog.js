@@ -0,0 +1,362 @@
+// 天体カタログ - JSONの読み込み・検証・親子階層の構築
+//
+// 既定カタログは data/bodies.json。惑星の軌道要素は JPL "Approximate Positions of the Planets"
+// （1800〜2050年、地球は地球・月系の重心）、衛星は親天体を中心とした平均軌道要素（a: km）。
+// 準惑星（type: "dwarf"）は冥王星が同じJPLの表、その他は小天体データベースの接触軌道要素（J2000付近）。
+// 彗星（type: "comet"）は近日点距離 q（AU）と近日点通過時刻 tp（ユリウス日）の軌道要素で、e ≥ 1 も可。
+// tail.length は太陽から1 AUにあるときの尾の長さ（AU）。
+// 半径（radiusKm）とリングの内径・外径は km。表示上の大きさは scale-modes.js で決まる。
+// 軌道要素の基準面（frame）は既定で J2000 の黄道面。"equatorial" なら親天体の赤道面が基準で、
+// 昇交点の経度は親の赤道面と黄道面の交線から測る（親天体に pole が必要）。
+// 自転軸の向き（pole）は IAU の北極の赤経・赤緯（J2000、度）。逆行自転は rotationPeriod を負にする。
+// テクスチャのURL（textureUrl など）は index.html からの相対パス。null なら surface の模様を手続き生成する。
+// name は既定の表示名（既定カタログは日本語）。names に言語ごとの名前（{ "en": "Earth" } など）を書ける。
+// ユーザー指定のカタログは id ごとに既定カタログへ上書き・追加される。
+import * as THREE from 'three';
+import { t } from './i18n.js';
+
+export const DEFAULT_CATALOG_URL = new URL('../data/bodies.json', import.meta.url).href;
+
+const BODY_TYPES = ['star', 'planet', 'dwarf', 'moon', 'comet'];
+const ELEMENT_KEYS = ['a', 'e', 'i', 'node', 'peri', 'M'];
+const COMET_ELEMENT_KEYS = ['q', 'e', 'i', 'node', 'peri', 'tp'];
+const ORBIT_FRAMES = ['ecliptic', 'equatorial'];
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+export const SURFACE_STYLES = ['star', 'rocky', 'smooth', 'banded', 'cratered', 'mars', 'earth'];
+const TEXTURE_KEYS = ['textureUrl', 'bumpMapUrl', 'normalMapUrl'];
+
+export class CatalogError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}\n- ${problems.join('\n- ')}` : message);
+        this.name = 'CatalogError';
+        this.problems = problems;
+    }
+}
+
+async function fetchCatalog(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new CatalogError(t('catalog.loadFailed', { url, reason: error.message }));
+    }
+
+    if (!response.ok) {
+        throw new CatalogError(t('catalog.loadFailed', { url, reason: `HTTP ${response.status}` }));
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new CatalogError(t('catalog.invalidJson', { url, reason: error.message }));
+    }
+}
+
+// 文字列ならURLとして読み込み、オブジェクトならそのまま使う
+async function resolveCatalog(source) {
+    return typeof source === 'string' ? fetchCatalog(source) : source;
+}
+
+// 追加カタログの天体を id ごとに既定カタログへ上書き・追加する
+export function mergeCatalogs(base, extra) {
+    if (!extra) return base;
+    if (!Array.isArray(extra.bodies)) {
+        throw new CatalogError(t('catalog.extraNoBodies'));
+    }
+
+    const bodies = base.bodies.map(body => ({ ...body }));
+    extra.bodies.forEach((body) => {
+        const existing = bodies.find(candidate => body && candidate.id === body.id);
+        if (existing) {
+            Object.assign(existing, body);
+        } else {
+            bodies.push(body);
+        }
+    });
+
+    return { ...base, bodies };
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// 配列・null でないオブジェクト
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function validateElements(elements, problems, label) {
+    if (!elements || typeof elements !== 'object') {
+        problems.push(t('catalog.noElements', { label }));
+        return;
+    }
+
+    ELEMENT_KEYS.forEach((key) => {
+        if (!isNumber(elements[key])) {
+            problems.push(t('catalog.elementNotNumber', { label, key }));
+        }
+    });
+
+    if (isNumber(elements.a) && elements.a <= 0) {
+        problems.push(t('catalog.elementPositive', { label, key: 'a' }));
+    }
+    if (isNumber(elements.e) && (elements.e < 0 || elements.e >= 1)) {
+        problems.push(t('catalog.ellipticE', { label }));
+    }
+
+    if (elements.rates !== undefined && !isPlainObject(elements.rates)) {
+        problems.push(t('catalog.notObject', { label: `${label}: elements.rates` }));
+    } else if (elements.rates !== undefined) {
+        Object.entries(elements.rates).forEach(([key, value]) => {
+            if (!ELEMENT_KEYS.includes(key) || !isNumber(value)) {
+                problems.push(t('catalog.invalidRate', { label, key }));
+            }
+        });
+    }
+}
+
+// 彗星の軌道要素（放物線・双曲線軌道も可）と尾
+function validateComet(body, problems, label) {
+    const elements = body.elements;
+    if (!elements || typeof elements !== 'object') {
+        problems.push(t('catalog.noElements', { label }));
+    } else {
+        COMET_ELEMENT_KEYS.forEach((key) => {
+            if (!isNumber(elements[key])) {
+                problems.push(t('catalog.elementNotNumber', { label, key }));
+            }
+        });
+
+        if (isNumber(elements.q) && elements.q <= 0) {
+            problems.push(t('catalog.elementPositive', { label, key: 'q' }));
+        }
+        if (isNumber(elements.e) && elements.e < 0) {
+            problems.push(t('catalog.cometE', { label }));
+        }
+    }
+
+    if (body.tail !== undefined && (!body.tail || !isNumber(body.tail.length) || body.tail.length <= 0)) {
+        problems.push(t('catalog.invalidTail', { label }));
+    }
+}
+
+function isTextureUrl(value) {
+    return value === null || typeof value === 'string';
+}
+
+// 表面の模様とテクスチャ（夜の街明かり・雲を含む）
+function validateSurface(body, problems, label) {
+    if (body.surface !== undefined && !SURFACE_STYLES.includes(body.surface)) {
+        problems.push(t('catalog.oneOf', { label: `${label}: surface`, values: SURFACE_STYLES.join(' / ') }));
+    }
+
+    TEXTURE_KEYS.forEach((key) => {
+        if (body[key] !== undefined && !isTextureUrl(body[key])) {
+            problems.push(t('catalog.stringOrNull', { label: `${label}: ${key}` }));
+        }
+    });
+
+    ['nightLights', 'clouds'].forEach((key) => {
+        const layer = body[key];
+        if (layer === undefined) return;
+        if (!layer || typeof layer !== 'object') {
+            problems.push(t('catalog.notObject', { label: `${label}: ${key}` }));
+            return;
+        }
+        if (layer.textureUrl !== undefined && !isTextureUrl(layer.textureUrl)) {
+            problems.push(t('catalog.stringOrNull', { label: `${label}: ${key}.textureUrl` }));
+        }
+    });
+
+    const clouds = body.clouds;
+    if (clouds && typeof clouds === 'object') {
+        if (clouds.rotationPeriod !== undefined && (!isNumber(clouds.rotationPeriod) || clouds.rotationPeriod === 0)) {
+            problems.push(t('catalog.nonZero', { label: `${label}: clouds.rotationPeriod` }));
+        }
+        if (clouds.opacity !== undefined && (!isNumber(clouds.opacity) || clouds.opacity < 0 || clouds.opacity > 1)) {
+            problems.push(t('catalog.opacity', { label: `${label}: clouds.opacity` }));
+        }
+    }
+}
+
+function validateRings(rings, problems, label) {
+    if (!Array.isArray(rings)) {
+        problems.push(t('catalog.notArray', { label: `${label}: rings` }));
+        return;
+    }
+
+    rings.forEach((ring, index) => {
+        const ringLabel = `${label}: rings[${index}]`;
+        if (!ring || typeof ring !== 'object') {
+            problems.push(t('catalog.notObject', { label: ringLabel }));
+            return;
+        }
+        if (!isNumber(ring.innerRadius) || !isNumber(ring.outerRadius) ||
+            ring.innerRadius <= 0 || ring.outerRadius <= ring.innerRadius) {
+            problems.push(t('catalog.ringRadius', { label: ringLabel }));
+        }
+        if (ring.color !== undefined && !isColor(ring.color)) {
+            problems.push(t('catalog.color', { label: `${ringLabel}: color` }));
+        }
+        if (ring.opacity !== undefined && (!isNumber(ring.opacity) || ring.opacity < 0 || ring.opacity > 1)) {
+            problems.push(t('catalog.opacity', { label: `${ringLabel}: opacity` }));
+        }
+    });
+}
+
+// カタログを検証し、問題があれば一覧を CatalogError として投げる
+export function validateCatalog(catalog) {
+    if (!catalog || !Array.isArray(catalog.bodies)) {
+        throw new CatalogError(t('catalog.noBodies'));
+    }
+
+    const problems = [];
+    const ids = new Set();
+
+    catalog.bodies.forEach((body, index) => {
+        const label = body && body.id ? t('catalog.bodyLabel', { index, id: body.id }) : `bodies[${index}]`;
+        if (!body || typeof body !== 'object') {
+            problems.push(t('catalog.notObject', { label }));
+            return;
+        }
+
+        if (typeof body.id !== 'string' || !ID_PATTERN.test(body.id)) {
+            problems.push(t('catalog.invalidId', { label }));
+        } else if (ids.has(body.id)) {
+            problems.push(t('catalog.duplicateId', { label }));
+        } else {
+            ids.add(body.id);
+        }
+
+        if (!BODY_TYPES.includes(body.type)) {
+            problems.push(t('catalog.oneOf', { label: `${label}: type`, values: BODY_TYPES.join(' / ') }));
+        }
+        if (typeof body.name !== 'string' || body.name === '') {
+            problems.push(t('catalog.noName', { label }));
+        }
+        if (body.names !== undefined && (!body.names || typeof body.names !== 'object' ||
+            Object.values(body.names).some(name => typeof name !== 'string' || name === ''))) {
+            problems.push(t('catalog.invalidNames', { label }));
+        }
+        if (!isNumber(body.radiusKm) || body.radiusKm <= 0) {
+            problems.push(t('catalog.invalidRadius', { label }));
+        }
+        if (!isColor(body.color)) {
+            problems.push(t('catalog.color', { label: `${label}: color` }));
+        }
+        if (body.rotationPeriod !== undefined && (!isNumber(body.rotationPeriod) || body.rotationPeriod === 0)) {
+            problems.push(t('catalog.nonZero', { label: `${label}: rotationPeriod` }));
+        }
+
+        if (body.pole !== undefined && (!body.pole || !isNumber(body.pole.ra) || !isNumber(body.pole.dec) ||
+            body.pole.dec < -90 || body.pole.dec > 90)) {
+            problems.push(t('catalog.invalidPole', { label }));
+        }
+        if (body.frame !== undefined && !ORBIT_FRAMES.includes(body.frame)) {
+            problems.push(t('catalog.oneOf', { label: `${label}: frame`, values: ORBIT_FRAMES.join(' / ') }));
+        }
+
+        if (body.type === 'star') {
+            if (body.parent !== undefined) {
+                problems.push(t('catalog.starParent', { label }));
+            }
+        } else {
+            if (typeof body.parent !== 'string') {
+                problems.push(t('catalog.noParent', { label }));
+            }
+            if (body.type === 'comet') {
+                validateComet(body, problems, label);
+            } else {
+                validateElements(body.elements, problems, label);
+            }
+        }
+
+        validateSurface(body, problems, label);
+        if (body.rings !== undefined) {
+            validateRings(body.rings, problems, label);
+        }
+    });
+
+    // 親子関係の検証
+    const stars = catalog.bodies.filter(body => body && body.type === 'star');
+    if (stars.length !== 1) {
+        problems.push(t('catalog.starCount', { count: stars.length }));
+    }
+
+    const byId = new Map(catalog.bodies.filter(body => body && body.id).map(body => [body.id, body]));
+    catalog.bodies.forEach((body) => {
+        if (!body || typeof body.parent !== 'string') return;
+
+        if (!byId.has(body.parent)) {
+            problems.push(t('catalog.parentNotFound', { id: body.id, parent: body.parent }));
+            return;
+        }
+        if (body.type === 'comet' && byId.get(body.parent).type !== 'star') {
+            problems.push(t('catalog.cometParent', { id: body.id }));
+            return;
+        }
+        if (body.frame === 'equatorial' && !byId.get(body.parent).pole) {
+            problems.push(t('catalog.framePole', { id: body.id, parent: body.parent }));
+        }
+
+        // 親をたどって循環がないか確認
+        const visited = new Set([body.id]);
+        let current = byId.get(body.parent);
+        while (current) {
+            if (visited.has(current.id)) {
+                problems.push(t('catalog.cycle', { id: body.id }));
+                break;
+            }
+            visited.add(current.id);
+            current = byId.get(current.parent);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new CatalogError(t('catalog.invalid'), problems);
+    }
+}
+
+// 検証済みカタログから表示用の天体データ（色は数値、children付き）を作る
+export function buildHierarchy(catalog) {
+    const bodies = new Map();
+
+    catalog.bodies.forEach((body) => {
+        bodies.set(body.id, {
+            ...body,
+            color: new THREE.Color(body.color).getHex(),
+            rings: (body.rings || []).map(ring => ({
+                ...ring,
+                color: new THREE.Color(ring.color || '#ccaa88').getHex(),
+                opacity: ring.opacity ?? 0.8
+            })),
+            children: []
+        });
+    });
+
+    let root = null;
+    bodies.forEach((body) => {
+        if (body.parent) {
+            bodies.get(body.parent).children.push(body);
+        } else {
+            root = body;
+        }
+    });
+
+    return { root, bodies };
+}
+
+// 既定カタログと任意の追加カタログ（URL またはオブジェクト）を読み込んで検証する
+export async function loadCatalog(extraSource = null, baseUrl = DEFAULT_CATALOG_URL) {
+    const base = await fetchCatalog(baseUrl);
+    const extra = extraSource ? await resolveCatalog(extraSource) : null;
+    const catalog = mergeCatalogs(base, extra);
+
+    validateCatalog(catalog);
+    return buildHierarchy(catalog);
+}
@@ -0,0 +1,133 @@
+// シミュレーション時計 - 表示中の日時と再生速度を管理
+import * as THREE from 'three';
+import { t } from './i18n.js';
+
+const SECONDS_PER_DAY = 86400;
+
+// 再生速度の段階（rate: 実時間1秒あたりに進むシミュレーション秒数、表示名は表の speed.<id>）
+export const SPEED_STEPS = [
+    { id: 'realtime', rate: 1 },
+    { id: 'day', rate: SECONDS_PER_DAY },
+    { id: 'month', rate: SECONDS_PER_DAY * 30.436875 },
+    { id: 'year', rate: SECONDS_PER_DAY * 365.2425 }
+];
+
+// 指定できる速さの上限（最速の段階の100倍、1秒で100年）と、日時の範囲（Date で表せる ±8.64e15 ms）
+export const MAX_RATE = SPEED_STEPS[SPEED_STEPS.length - 1].rate * 100;
+export const MAX_TIME = 8.64e15;
+
+export function isValidRate(rate) {
+    return Number.isFinite(rate) && Math.abs(rate) <= MAX_RATE;
+}
+
+export function isValidTime(time) {
+    return Number.isFinite(time) && Math.abs(time) <= MAX_TIME;
+}
+
+export class SimulationClock extends THREE.EventDispatcher {
+    constructor(time = Date.now(), speedIndex = 2) {
+        super();
+        this.time = time; // シミュレーション上の現在時刻（ミリ秒）
+        this.speedIndex = speedIndex;
+        this.customRate = null; // SPEED_STEPS にない速度（setRate で指定、null: 段階の速度）
+        this.direction = 1; // 1: 順再生, -1: 逆再生
+        this.playing = true;
+    }
+
+    get speed() {
+        return SPEED_STEPS[this.speedIndex];
+    }
+
+    // 実時間1秒あたりのシミュレーション秒数（停止中は0、逆再生は負）
+    get rate() {
+        if (!this.playing) return 0;
+        return (this.customRate ?? this.speed.rate) * this.direction;
+    }
+
+    getDate() {
+        return new Date(this.time);
+    }
+
+    // 実時間 deltaTime 秒分だけ時計を進める
+    tick(deltaTime) {
+        if (!this.playing) return;
+        this.moveBy(deltaTime * this.rate * 1000);
+    }
+
+    // 再生状態にかかわらず milliseconds だけ進める（連番画像の書き出しで1コマずつ一定の間隔で進めるため）
+    advance(milliseconds) {
+        this.moveBy(milliseconds);
+    }
+
+    // 日時の範囲の端に着いたらそこで止める
+    moveBy(milliseconds) {
+        const time = this.time + milliseconds;
+        this.time = THREE.MathUtils.clamp(time, -MAX_TIME, MAX_TIME);
+        this.dispatchEvent({ type: 'tick' });
+        if (time !== this.time) this.pause();
+    }
+
+    play() {
+        this.playing = true;
+        this.notifyChange();
+    }
+
+    pause() {
+        this.playing = false;
+        this.notifyChange();
+    }
+
+    togglePause() {
+        this.playing ? this.pause() : this.play();
+    }
+
+    reverse() {
+        this.direction *= -1;
+        this.notifyChange();
+    }
+
+    setSpeed(index) {
+        this.speedIndex = THREE.MathUtils.clamp(index, 0, SPEED_STEPS.length - 1);
+        this.customRate = null;
+        this.notifyChange();
+    }
+
+    // 実時間1秒あたりのシミュレーション秒数を直接指定する（負なら逆再生）
+    setRate(rate) {
+        if (!isValidRate(rate)) {
+            throw new Error(t('error.invalidRate', { rate }));
+        }
+        if (rate !== 0) this.direction = Math.sign(rate);
+
+        const index = SPEED_STEPS.findIndex(step => step.rate === Math.abs(rate));
+        if (index >= 0) {
+            this.speedIndex = index;
+            this.customRate = null;
+        } else {
+            this.customRate = Math.abs(rate);
+        }
+        this.notifyChange();
+    }
+
+    // 現在の実時刻に戻し、実時間で順再生する
+    now() {
+        this.direction = 1;
+        this.speedIndex = 0;
+        this.customRate = null;
+        this.setTime(Date.now());
+    }
+
+    setTime(time) {
+        const ms = time instanceof Date ? time.getTime() : time;
+        if (!isValidTime(ms)) {
+            throw new Error(t('error.invalidDate', { time }));
+        }
+        this.time = ms;
+        this.dispatchEvent({ type: 'jump' });
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        this.dispatchEvent({ type: 'change' });
+    }
+}
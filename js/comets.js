@@ -0,0 +1,137 @@
+// 彗星のコマと尾 - 太陽と反対側へ伸び、太陽に近いほど明るく長くなる
+//
+// 尾は加算合成の円錐で、イオンの尾（青白く細い、太陽と正反対）とダストの尾（黄白色で太く、公転の後ろへ曲がる）の2本。
+// 長さは AU で計算してから表示スケールの変換（toDisplay）を通すので、距離を対数圧縮しても太陽の反対側を向く。
+import * as THREE from 'three';
+
+const COMA_MIN_RADIUS = 0.05; // 活動がなくても選択できるコマの大きさ（シーン単位）
+const ACTIVITY_START = 5; // 尾が出始める太陽からの距離（AU）
+const ACTIVITY_FULL = 3; // 1/r² に従って明るくなり始める距離（AU）
+const MAX_ACTIVITY = 4; // 近日点が太陽に近すぎても尾が伸びすぎないよう上限を設ける
+
+const vertexShader = `
+varying float vAlong;
+varying float vFacing;
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+void main() {
+    vAlong = position.y; // 尾の根元0〜先端1（コマは使わない）
+
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vec3 viewNormal = normalize(normalMatrix * normal);
+    vFacing = abs(dot(viewNormal, normalize(-mvPosition.xyz)));
+
+    gl_Position = projectionMatrix * mvPosition;
+    #include <logdepthbuf_vertex>
+}
+`;
+
+const fragmentShader = `
+uniform vec3 color;
+uniform float opacity;
+varying float vAlong;
+varying float vFacing;
+#include <common>
+#include <logdepthbuf_pars_fragment>
+
+void main() {
+    #include <logdepthbuf_fragment>
+#ifdef TAIL
+    // 先端ほど薄く、円錐の縁（視線と平行な面）ほど薄い
+    float alpha = pow(1.0 - vAlong, 1.5) * vFacing;
+#else
+    // 中心が明るく縁へぼやける光芒
+    float alpha = pow(vFacing, 2.0);
+#endif
+    gl_FragColor = vec4(color * alpha * opacity, 1.0);
+    #include <colorspace_fragment>
+}
+`;
+
+function createGlowMaterial(color, isTail) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            color: { value: new THREE.Color(color) },
+            opacity: { value: 1 }
+        },
+        defines: isTail ? { TAIL: '' } : {},
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        side: isTail ? THREE.DoubleSide : THREE.FrontSide,
+        depthWrite: false
+    });
+}
+
+// 根元（頂点）が原点、底面が +Y 方向の長さ1・半径1の円錐
+function createTailGeometry() {
+    const geometry = new THREE.ConeGeometry(1, 1, 24, 8, true);
+    geometry.translate(0, -0.5, 0);
+    geometry.rotateX(Math.PI);
+    return geometry;
+}
+
+function createTail(color, opacity) {
+    const tail = new THREE.Mesh(createTailGeometry(), createGlowMaterial(color, true));
+    tail.material.uniforms.opacity.value = opacity;
+    tail.raycast = () => {};
+    tail.frustumCulled = false; // 伸び縮みが大きいため
+    tail.renderOrder = 1;
+    return tail;
+}
+
+// 太陽からの距離 r（AU）での活動度（1 AU で1、遠方で0）
+export function cometActivity(r) {
+    const fade = 1 - THREE.MathUtils.smoothstep(r, ACTIVITY_FULL, ACTIVITY_START);
+    return Math.min(1 / (r * r), MAX_ACTIVITY) * fade;
+}
+
+export class CometEffects {
+    constructor(data) {
+        this.tailLength = data.tail?.length ?? 0.1; // 1 AU での尾の長さ（AU）
+        this.group = new THREE.Group();
+
+        // コマ（選択・フォーカスの対象になる）
+        this.coma = new THREE.Mesh(new THREE.SphereGeometry(1, 24, 12), createGlowMaterial(0xd8ecff, false));
+        this.coma.userData = { bodyId: data.id };
+        this.coma.renderOrder = 1;
+
+        this.ionTail = createTail(0x6fa8ff, 0.9);
+        this.dustTail = createTail(0xfff0c8, 0.7);
+        this.group.add(this.coma, this.ionTail, this.dustTail);
+
+        this.activity = 0;
+    }
+
+    // heliocentric: 日心位置（AU）、velocity: 公転の速度の向き、toDisplay: 日心位置（AU）→ 表示上の位置
+    update(heliocentric, velocity, toDisplay) {
+        const r = heliocentric.length();
+        this.activity = r > 0 ? cometActivity(r) : 0;
+
+        const origin = toDisplay(heliocentric);
+        const antiSun = heliocentric.clone().normalize();
+        const lengthAU = this.tailLength * Math.sqrt(this.activity); // 明るさほど急には伸びない
+
+        const ionLength = this.placeTail(this.ionTail, heliocentric, origin, antiSun, lengthAU, 0.08, toDisplay);
+
+        const dustDirection = antiSun.clone().addScaledVector(velocity.clone().normalize(), -0.4).normalize();
+        this.placeTail(this.dustTail, heliocentric, origin, dustDirection, lengthAU * 0.7, 0.2, toDisplay);
+
+        this.coma.scale.setScalar(Math.max(COMA_MIN_RADIUS, ionLength * 0.06));
+        this.coma.material.uniforms.opacity.value = 0.2 + 0.8 * Math.min(this.activity, 1);
+    }
+
+    // 尾の先端を AU で決めて表示上の位置へ変換し、根元から先端へ円錐を向ける。表示上の長さを返す
+    placeTail(tail, heliocentric, origin, direction, lengthAU, widthRatio, toDisplay) {
+        tail.visible = lengthAU > 1e-4;
+        if (!tail.visible) return 0;
+
+        const tip = toDisplay(heliocentric.clone().addScaledVector(direction, lengthAU)).sub(origin);
+        const length = tip.length();
+        tail.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tip.divideScalar(length));
+        tail.scale.set(length * widthRatio, length, length * widthRatio);
+        return length;
+    }
+}
@@ -1,12 +1,96 @@
 // 太陽系ビューワー - WebXR対応
+// createSolarSystemViewer(container, options) で任意の要素の中に作れる（ページの起動は main.js）
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { ARButton } from 'three/addons/webxr/ARButton.js';
-import { VRButton } from 'three/addons/webxr/VRButton.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
+import { heliocentricPosition, orbitPoints, daysSinceJ2000, bodyHeliocentricPosition, poleDirection, orbitNormal, orbitFrameRotation } from './ephemeris.js';
+import { SimulationClock, SPEED_STEPS } from './clock.js';
+import { loadCatalog } from './catalog.js';
+import { XRPanel } from './xr-panel.js';
+import { XRMenu } from './xr-menu.js';
+import { VRLocomotion } from './locomotion.js';
+import { XRCaption } from './xr-caption.js';
+import { createSurfaceTexture, createNightLightsTexture, createCloudTexture, createRingTexture } from './textures.js';
+import { SCALE_MODES, DEFAULT_SCALE_MODE, getScaleMode, computeDisplayScales, describeScaleMode, getLogDistanceWeight, radialDisplayDistance } from './scale-modes.js';
+import { BELTS, BELT_COUNTS, ParticleBelt } from './belts.js';
+import { CometEffects } from './comets.js';
+import { BodyLabels, LABEL_CATEGORIES } from './labels.js';
+import { OrbitTrail } from './trails.js';
+import { EVENT_KINDS, getEventKind, findEvents } from './events.js';
+import { encodeViewState, decodeViewState } from './view-state.js';
+import { loadTour, TourPlayer } from './tour.js';
+import { SharedSession, getSessionUrl } from './shared-session.js';
+import { Avatars } from './avatars.js';
+import { EXPORT_STEPS, FRAME_DELTA, MAX_CAPTURE_SIZE, MAX_EXPORT_BYTES, MAX_EXPORT_FRAMES, canvasToBlob, createZip, downloadBlob, getFrameName } from './capture.js';
+import { LANGUAGES, t, getLanguage, getLocale, setLanguage, detectLanguage, getBodyName, localize, translateElement } from './i18n.js';
 
-class SolarSystemViewer {
-    constructor() {
+// オブジェクトとその子のジオメトリ・マテリアル・テクスチャを解放する
+function disposeObject(object) {
+    object.traverse((child) => {
+        child.geometry?.dispose();
+        if (!child.material) return;
+        
+        Object.values(child.material).forEach((value) => {
+            if (value?.isTexture) value.dispose();
+        });
+        child.material.dispose();
+    });
+}
+
+// 表の key の文字を表示する要素（言語を切り替えると translateElement() で書き換わる）
+function createOption(key, value) {
+    const option = new Option(t(key), value);
+    option.dataset.i18n = key;
+    return option;
+}
+
+function createText(key) {
+    const span = document.createElement('span');
+    span.textContent = t(key);
+    span.dataset.i18n = key;
+    return span;
+}
+
+// createSolarSystemViewer の options の既定値
+const DEFAULT_OPTIONS = {
+    date: null, // 表示を始める日時（Date・ミリ秒・日付の文字列、null: 現在）
+    timeScale: null, // 実時間1秒あたりに進む秒数（null: 1ヶ月/秒、負なら逆再生）
+    scale: DEFAULT_SCALE_MODE, // 表示スケールモードのID
+    bodies: null, // 表示する天体IDの配列（null: すべて。太陽は常に表示し、親天体を隠すと衛星も隠れる）
+    catalog: null, // 既定カタログに追加するカタログ（URLまたはJSONのオブジェクト）
+    tour: null, // ツアーボタンで始めるツアー（URLまたはJSONのオブジェクト、null: 既定のツアー）
+    sessionServer: null, // 共有セッションの中継サーバーのURL（null: このページを配信しているサーバーの /session）
+    language: null, // 表示する言語のID（'ja' | 'en'、null: ブラウザの言語設定）
+    menuHand: 'left', // XRのメニューを手首に付ける手（'left' | 'right'、利き手でない側）
+    arButton: true, // ARボタンを表示するか
+    vrButton: true, // VRボタンを表示するか
+    keyboard: true, // 数字キーでのフォーカス、+/-キーでの拡大縮小
+    urlState: false // 表示状態をページのURLのハッシュから復元し、変わるたびに書き込むか
+};
+
+const MENU_HANDS = ['left', 'right'];
+
+// XRのモード（optionKey: ボタンを表示するかのオプション）
+const XR_MODES = {
+    'immersive-ar': { label: 'AR', buttonId: 'arButton', optionKey: 'arButton' },
+    'immersive-vr': { label: 'VR', buttonId: 'vrButton', optionKey: 'vrButton' }
+};
+
+// container: ビューワーを作る要素（UIの要素もこの中から id で探す）
+// イベント: 'load'（カタログ読み込み後）、'select'、'timechange'、'sessionstart'、'sessionend'、'tourstep'、'tourend'、'languagechange'
+export class SolarSystemViewer extends THREE.EventDispatcher {
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.viewState = this.options.urlState ? decodeViewState(window.location.hash) : {}; // URLの表示状態（options より優先）
+        this.urlStateTimer = 0;
+        this.abortController = new AbortController(); // DOMのイベントリスナーをまとめて外す
+        this.resizeObserver = null;
+        this.disposed = false;
+        this.ready = null; // 最初のカタログを読み込み終えたら解決する Promise
+        
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -18,26 +102,113 @@ class SolarSystemViewer {
         this.controllerGrip1 = null;
         this.controllerGrip2 = null;
         this.controllerLights = [];
+        this.hands = [];
+        this.handTracked = [false, false]; // 各入力がハンドトラッキングか
+        this.inputHandedness = [null, null]; // 各入力の左右（menuHand の側のコントローラーの手首にメニューを付ける）
+        this.pokingButtons = [null, null]; // 指先で押しているパネルのボタン
+        
+        // XRセッション
+        this.xrMode = null; // セッション中のモード（'immersive-ar' | 'immersive-vr'）
+        this.isStartingSession = false;
+        this.xrStartState = null; // セッションに入る前の太陽系の大きさ・位置・向き
+        this.xrPlacements = new Map(); // モード → 前回のセッションでの太陽系の大きさ・位置・向き
+        this.referenceHeight = 0; // 床から参照空間の原点までの高さ（'local' では目の高さ分下げる）
+        this.eyeHeight = 1.6; // 'local-floor' が使えないときに仮定する目の高さ（m）
         
         // インタラクション
         this.isDragging = false;
         this.dragController = null;
         this.dragOffset = new THREE.Vector3();
+        this.grabbingInputs = []; // 掴んでいる入力（グリップ中のコントローラー、ピンチ中の指先）
+        this.twoHandedGrab = null; // 両手での拡大縮小・回転の開始状態
         
         // 接触ポイント表示
         this.contactPoints = [];
         
+        // ARの配置（ヒットテストとアンカー）
+        this.reticle = null;
+        this.hitTestSource = null;
+        this.lastHitResult = null;
+        this.isPlacingAR = false; // 置き場所を選んでいる間 true
+        this.placementAnchor = null;
+        this.anchorOffset = new THREE.Vector3(); // アンカーから太陽系の中心までのずれ
+        this.placeButtonStates = new WeakMap(); // 入力ごとの置き直しボタンの前回の状態
+        
+        // VRでの移動（スティックでの飛行・スナップターン・天体のそばへの移動）
+        this.locomotion = null;
+        this.flightSpeed = 1.5; // スティックを倒しきったときの速さ（m/秒）
+        this.flightBoost = 8; // スティックを押し込んだときの速さの倍率
+        this.teleportDistance = 4; // 移動先での天体からの距離（表示上の半径の倍数）
+        this.teleportButtonStates = new WeakMap(); // 入力ごとの移動ボタンの前回の状態
+        
+        // 天体の選択
+        this.selectedBodyId = null;
+        this.selectionMarker = null;
+        this.xrInfoPanel = null;
+        this.infoRefreshTimer = 0;
+        this.pointerRayLength = 5; // XRで天体を指し示せる距離（m）
+        
+        // XRのメニューとフォーカス（天体を目の前に持ってくる）
+        this.xrMenu = null;
+        this.xrFocus = null;
+        this.xrFocusRadius = 0.08; // フォーカスした天体の表示上の半径（m）
+        this.xrFocusDistance = 0.6; // フォーカスした天体を置く視点からの距離（m）
+        
+        // カメラのフォーカス（PC表示時）
+        this.focusBodyId = null; // null: 太陽系全体
+        this.cameraTransition = null;
+        this.overviewCameraPosition = new THREE.Vector3(0, 30, 100);
+        this.overviewMinDistance = 10;
+        this.defaultCameraNear = 0.1;
         
         // 太陽系オブジェクト
+        this.catalog = null; // { root, bodies }（catalog.js の buildHierarchy）
         this.sun = null;
-        this.planets = [];
+        this.bodies = new Map(); // 天体ID → 公転グループ（惑星・衛星）
+        this.hiddenBodyIds = new Set(this.viewState.hidden); // 非表示にした天体（カタログを読み込み直しても保つ）
         this.orbits = [];
-        this.moon = null;
+        this.orbitOpacity = { normal: 0.3, highlighted: 0.9, dimmed: 0.12 }; // 選択・ポイント中の天体があると他の軌道を暗くする
+        this.hoveredBodyId = null; // マウス・コントローラーで指している天体
+        this.belts = new Map(); // 小惑星帯などのID → ParticleBelt
         this.sunLight = null;
         
+        // テクスチャ
+        this.loadingManager = null;
+        this.textureLoader = null;
+        this.sunPositionUniform = { value: new THREE.Vector3() }; // 夜側の判定に使う太陽のワールド座標
+        
+        // 自転軸・軌跡の表示
+        this.showAxes = this.viewState.axes ?? false;
+        this.showOrbits = this.viewState.orbits ?? true;
+        this.axisLines = [];
+        this.showTrails = this.viewState.trails ?? false;
+        
+        // ガイドツアー
+        this.tourPlayer = new TourPlayer();
+        this.xrCaption = null; // XRでツアーの説明文を出すパネル
+        
+        // 共有セッション
+        this.sharedSession = null;
+        this.isDetached = false; // 参加者が発表者から離れて自由に見ているか
+        this.receivedSharedState = null; // 発表者から最後に受け取った表示状態
+        this.appliedSharedState = null; // 最後に合わせた表示状態（変わった項目だけ合わせる）
+        this.sharedCameraGoal = null; // 発表者の視点へ近づけている間 { offset, target }
+        this.sharedPlacementGoal = null; // XRで発表者の太陽系の置き方へ近づけている間
+        this.sharingTimer = 0;
+        this.avatars = null;
+        
+        // 連番画像の書き出し（書き出し中は描画ループを止め、1コマずつ描く）
+        this.isExporting = false;
+        this.exportCancelled = false;
+        
+        // 天体の名前ラベル
+        this.labels = null;
+        this.labelFadeFactor = 3; // 太陽系の半径の何倍より遠い天体のラベルを消すか
+        
         // アニメーション
         this.clock = new THREE.Clock();
-        this.timeScale = 5; // 時間スケール（アニメーション速度調整）
+        this.simulationClock = new SimulationClock(); // シミュレーション上の日時と再生速度
+        this.dateDisplayText = '';
         
         // スケーリング
         this.scaleGroup = null;
@@ -48,106 +219,83 @@ class SolarSystemViewer {
         this.arScale = 0.08; // ARモード用スケール
         this.vrScale = 0.5; // VRモード用スケール
         
-        this.planetData = this.getPlanetData();
+        // 表示スケールモード（天体の大きさ・軌道の大きさ）
+        this.scaleMode = this.getScaleModeById(this.viewState.scale ?? this.options.scale);
+        this.scaleTransition = null;
+        this.logDistanceWeight = getLogDistanceWeight(this.scaleMode); // 小惑星帯・彗星の距離の圧縮度合い
+        this.setMenuHand(this.options.menuHand);
+        
         this.init();
     }
     
-    getPlanetData() {
-        return {
-            mercury: {
-                name: '水星',
-                radius: 0.38,
-                distance: 10,
-                rotationPeriod: 59, // 日
-                orbitalPeriod: 88, // 日
-                eccentricity: 0.206,
-                color: 0xffaa66,
-                textureUrl: null
-            },
-            venus: {
-                name: '金星',
-                radius: 0.95,
-                distance: 15,
-                rotationPeriod: 243,
-                orbitalPeriod: 225,
-                eccentricity: 0.007,
-                color: 0xffc649,
-                textureUrl: null
-            },
-            earth: {
-                name: '地球',
-                radius: 1.0,
-                distance: 20,
-                rotationPeriod: 1, // 基準
-                orbitalPeriod: 365,
-                eccentricity: 0.017,
-                color: 0x4488ff,
-                textureUrl: null
-            },
-            mars: {
-                name: '火星',
-                radius: 0.53,
-                distance: 25,
-                rotationPeriod: 1.03,
-                orbitalPeriod: 687,
-                eccentricity: 0.093,
-                color: 0xff6644,
-                textureUrl: null
-            },
-            jupiter: {
-                name: '木星',
-                radius: 2.5,
-                distance: 35,
-                rotationPeriod: 0.41,
-                orbitalPeriod: 4331, // 約11.9年
-                eccentricity: 0.049,
-                color: 0xfad5a5,
-                textureUrl: null
-            },
-            saturn: {
-                name: '土星',
-                radius: 2.1,
-                distance: 45,
-                rotationPeriod: 0.45,
-                orbitalPeriod: 10747, // 約29.5年
-                eccentricity: 0.057,
-                color: 0xfad5a5,
-                textureUrl: null
-            },
-            uranus: {
-                name: '天王星',
-                radius: 1.6,
-                distance: 55,
-                rotationPeriod: 0.72,
-                orbitalPeriod: 30589, // 約84年
-                eccentricity: 0.046,
-                color: 0x5faad3,
-                textureUrl: null
-            },
-            neptune: {
-                name: '海王星',
-                radius: 1.5,
-                distance: 65,
-                rotationPeriod: 0.67,
-                orbitalPeriod: 59800, // 約165年
-                eccentricity: 0.011,
-                color: 0x366896,
-                textureUrl: null
-            }
-        };
-    }
-    
     init() {
+        this.setupLanguageControls();
         this.createScene();
         this.createCamera();
         this.createRenderer();
         this.createControls();
         this.createLights();
-        this.createSolarSystem();
         this.setupXR();
         this.setupEventListeners();
+        this.setupTimeControls();
+        this.setupEventFinder();
+        this.setupCatalogControls();
+        this.setupTextureLoading();
+        this.setupSelection();
+        this.setupFocusControls();
+        this.setupScaleModeControls();
+        this.setupDisplayToggles();
+        this.setupBelts();
+        this.setupLabels();
+        this.setupShareControls();
+        this.setupTourControls();
+        this.setupSharingControls();
+        this.setupCaptureControls();
         this.adjustLightingForScale(this.currentScale); // 初期ライティング設定
+        this.applyTimeOptions();
         this.animate();
+        
+        this.ready = this.loadBodyCatalog(this.options.catalog).then(() => this.restoreViewCamera());
+    }
+    
+    // 埋め込み先の要素から id で探す
+    getElement(id) {
+        return this.container.querySelector(`#${id}`);
+    }
+    
+    // DOMのイベントリスナー（dispose() でまとめて外す）
+    listen(target, type, listener) {
+        target?.addEventListener(type, listener, { signal: this.abortController.signal });
+    }
+    
+    // 描画領域の大きさ（コンテナの大きさが0ならウィンドウの大きさ）
+    getViewportSize() {
+        return {
+            width: this.container.clientWidth || window.innerWidth,
+            height: this.container.clientHeight || window.innerHeight
+        };
+    }
+    
+    getScaleModeById(modeId) {
+        const mode = getScaleMode(modeId);
+        if (!mode) {
+            throw new Error(t('error.unknownScaleMode', { id: modeId }));
+        }
+        return mode;
+    }
+    
+    applyTimeOptions() {
+        const date = this.viewState.time ?? this.options.date;
+        const rate = this.viewState.rate ?? this.options.timeScale;
+        if (date !== null) {
+            this.simulationClock.setTime(new Date(date));
+        }
+        if (rate !== null) {
+            this.simulationClock.setRate(rate);
+        }
+        if (this.viewState.paused) {
+            this.simulationClock.pause();
+        }
     }
     
     createScene() {
@@ -164,14 +312,14 @@ class SolarSystemViewer {
     
     createStarField() {
         const starsGeometry = new THREE.BufferGeometry();
-        const starsMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 1 });
+        const starsMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 1, sizeAttenuation: false });
         
+        // 実スケールでも海王星軌道より外側に来るよう、遠方の球殻上に配置
         const starsVertices = [];
+        const direction = new THREE.Vector3();
         for (let i = 0; i < 1000; i++) {
-            const x = (Math.random() - 0.5) * 2000;
-            const y = (Math.random() - 0.5) * 2000;
-            const z = (Math.random() - 0.5) * 2000;
-            starsVertices.push(x, y, z);
+            direction.randomDirection().multiplyScalar(3000 + Math.random() * 1000);
+            starsVertices.push(direction.x, direction.y, direction.z);
         }
         
         starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
@@ -180,23 +328,26 @@ class SolarSystemViewer {
     }
     
     createCamera() {
+        const { width, height } = this.getViewportSize();
         this.camera = new THREE.PerspectiveCamera(
             75,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
+            width / height,
+            this.defaultCameraNear,
+            10000
         );
-        this.camera.position.set(0, 30, 100);
+        this.camera.position.copy(this.overviewCameraPosition);
     }
     
     createRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        // 実スケールでは大きさが桁違いに異なるため対数深度バッファを使う
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, logarithmicDepthBuffer: true });
+        const { width, height } = this.getViewportSize();
+        this.renderer.setSize(width, height);
         this.renderer.xr.enabled = true;
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
-        document.getElementById('container').appendChild(this.renderer.domElement);
+        this.container.appendChild(this.renderer.domElement);
     }
     
     createControls() {
@@ -204,8 +355,8 @@ class SolarSystemViewer {
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.1;
         this.controls.screenSpacePanning = false;
-        this.controls.minDistance = 10;
-        this.controls.maxDistance = 500;
+        this.controls.minDistance = this.overviewMinDistance;
+        this.controls.maxDistance = 2000;
         this.controls.maxPolarAngle = Math.PI;
     }
     
@@ -223,39 +374,210 @@ class SolarSystemViewer {
         this.scene.add(ambientLight);
     }
     
+    // 既定カタログ＋追加カタログを読み込み、太陽系を作り直す
+    async loadBodyCatalog(extraSource = null) {
+        const isFirstLoad = this.catalog === null;
+        let catalog;
+        try {
+            catalog = await loadCatalog(extraSource);
+        } catch (error) {
+            console.error(error);
+            this.showMessage(error.message, 'error');
+            return;
+        }
+        if (this.disposed) return;
+        
+        this.catalog = catalog;
+        this.removeSolarSystem();
+        this.createSolarSystem();
+        
+        // 最初は options.bodies にない天体を隠す（URLに隠す天体があればそちらを使う）
+        if (isFirstLoad && this.options.bodies && !this.viewState.hidden) {
+            const visibleIds = new Set(this.options.bodies);
+            this.bodies.forEach((orbitGroup, id) => {
+                if (!visibleIds.has(id)) this.hiddenBodyIds.add(id);
+            });
+        }
+        this.applyBodyVisibility();
+        this.updateFocusList();
+        console.log(`天体カタログ読み込み完了: ${this.catalog.bodies.size}天体`);
+        this.dispatchEvent({ type: 'load' });
+    }
+    
+    setupCatalogControls() {
+        const catalogInput = this.getElement('catalogInput');
+        if (!catalogInput) return;
+        
+        this.listen(this.getElement('catalogButton'), 'click', () => catalogInput.click());
+        
+        this.listen(catalogInput, 'change', async () => {
+            const file = catalogInput.files[0];
+            catalogInput.value = '';
+            if (!file) return;
+            
+            let catalog;
+            try {
+                catalog = JSON.parse(await file.text());
+            } catch (error) {
+                this.showMessage(t('catalog.invalidJson', { url: file.name, reason: error.message }), 'error');
+                return;
+            }
+            this.loadBodyCatalog(catalog);
+        });
+    }
+    
+    // テクスチャ画像の読み込みと進捗表示
+    setupTextureLoading() {
+        this.loadingManager = new THREE.LoadingManager();
+        this.textureLoader = new THREE.TextureLoader(this.loadingManager);
+        
+        const indicator = this.getElement('loadingIndicator');
+        if (!indicator) return;
+        
+        this.loadingManager.onProgress = (url, loaded, total) => {
+            indicator.textContent = t('ui.loadingTextures', { loaded, total });
+            indicator.hidden = false;
+        };
+        this.loadingManager.onLoad = () => {
+            indicator.hidden = true;
+        };
+    }
+    
+    // 画像を読み込めたら material[property]（手続き生成のテクスチャ）と差し替える
+    loadTexture(url, material, property, colorSpace = THREE.SRGBColorSpace) {
+        if (!url) return;
+        
+        this.textureLoader.load(url, (texture) => {
+            texture.colorSpace = colorSpace;
+            material[property]?.dispose();
+            material[property] = texture;
+            material.needsUpdate = true;
+        }, undefined, () => {
+            console.warn(`テクスチャを読み込めません: ${url}`);
+        });
+    }
+    
+    showMessage(text, type = 'info') {
+        const message = this.getElement('message');
+        if (!message) return;
+        
+        message.textContent = text;
+        message.className = type;
+        message.hidden = false;
+        message.onclick = () => { message.hidden = true; };
+    }
+    
     createSolarSystem() {
-        this.createSun();
-        this.createPlanets();
+        const root = this.catalog.root;
+        this.createSun(root);
+        root.children.forEach(data => this.createPlanet(data, this.scaleGroup));
         this.createOrbits();
-        this.createMoon();
+        this.applyDisplayScales(computeDisplayScales(this.scaleMode, this.catalog));
     }
     
-    createSun() {
-        const sunGeometry = new THREE.SphereGeometry(3, 32, 32);
-        const sunMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffdd44
+    // 天体が表示されているか（親天体を隠すと衛星も隠れる）
+    isBodyShown(bodyId) {
+        for (let object = this.bodies.get(bodyId); object && object !== this.scaleGroup; object = object.parent) {
+            if (!object.visible) return false;
+        }
+        return true;
+    }
+    
+    setOrbitsVisible(visible) {
+        this.showOrbits = visible;
+        this.updateOrbitVisibility();
+        
+        const orbitToggle = this.getElement('orbitToggle');
+        if (orbitToggle) orbitToggle.checked = visible;
+    }
+    
+    updateOrbitVisibility() {
+        this.orbits.forEach((orbitLine) => {
+            orbitLine.visible = this.showOrbits && this.isBodyShown(orbitLine.userData.data.id);
+        });
+    }
+    
+    // 天体とその軌道線・軌跡の表示を切り替える（太陽は隠せない）
+    setBodyVisible(bodyId, visible) {
+        if (visible) {
+            this.hiddenBodyIds.delete(bodyId);
+        } else {
+            this.hiddenBodyIds.add(bodyId);
+        }
+        this.applyBodyVisibility();
+        this.updateFocusList();
+    }
+    
+    applyBodyVisibility() {
+        this.bodies.forEach((orbitGroup, id) => {
+            orbitGroup.visible = !this.hiddenBodyIds.has(id);
         });
+        this.updateOrbitVisibility();
+        this.updateTrailVisibility();
         
-        this.sun = new THREE.Mesh(sunGeometry, sunMaterial);
-        this.sun.userData = { type: 'sun' };
-        this.scaleGroup.add(this.sun);
+        if (this.focusBodyId && !this.isBodyShown(this.focusBodyId)) this.showOverview();
+        if (this.selectedBodyId && !this.isBodyShown(this.selectedBodyId)) this.clearSelection();
+    }
+    
+    removeSolarSystem() {
+        this.scaleTransition = null;
+        this.clearSelection();
+        if (this.focusBodyId) this.showOverview();
+        
+        const objects = [this.sun, ...this.orbits];
+        this.bodies.forEach((orbitGroup) => {
+            // 衛星は親天体と一緒に取り除かれる
+            if (orbitGroup.parent === this.scaleGroup) objects.push(orbitGroup);
+            objects.push(orbitGroup.userData.trail.mesh);
+        });
+        
+        objects.forEach((object) => {
+            if (!object) return;
+            object.removeFromParent();
+            disposeObject(object);
+        });
+        
+        this.sun = null;
+        this.bodies.clear();
+        this.orbits = [];
+        this.axisLines = [];
+        this.labels.clear();
     }
     
-    createPlanets() {
-        Object.keys(this.planetData).forEach((key, index) => {
-            const data = this.planetData[key];
-            this.createPlanet(data, index);
+    createSun(data) {
+        // 半径1の球を表示スケールに合わせて拡大縮小する
+        const sunGeometry = new THREE.SphereGeometry(1, 32, 32);
+        const sunMaterial = new THREE.MeshBasicMaterial({ 
+            map: createSurfaceTexture(data)
         });
+        this.loadTexture(data.textureUrl, sunMaterial, 'map');
+        
+        this.sun = new THREE.Mesh(sunGeometry, sunMaterial);
+        this.sun.userData = { type: 'sun', data: data, bodyId: data.id, tilt: this.getAxisTilt(data) };
+        this.sun.add(this.createAxisLine());
+        this.scaleGroup.add(this.sun);
+        this.labels.add(data, this.sun);
     }
     
-    createPlanet(data, index) {
-        // 惑星本体
-        const planetGeometry = new THREE.SphereGeometry(data.radius, 16, 16);
-        const planetMaterial = new THREE.MeshLambertMaterial({ color: data.color });
+    // 惑星・衛星を作成し、親天体のグループに追加（子の衛星も再帰的に作成）
+    createPlanet(data, parentGroup) {
+        // 惑星本体（半径1の球を表示スケールに合わせて拡大縮小する）
+        const planetGeometry = new THREE.SphereGeometry(1, 32, 16);
+        const planetMaterial = new THREE.MeshLambertMaterial({ map: createSurfaceTexture(data) });
         const planet = new THREE.Mesh(planetGeometry, planetMaterial);
         
+        // 表面の画像・凹凸（なければ手続き生成のテクスチャのまま）
+        this.loadTexture(data.textureUrl, planetMaterial, 'map');
+        this.loadTexture(data.bumpMapUrl, planetMaterial, 'bumpMap', THREE.NoColorSpace);
+        this.loadTexture(data.normalMapUrl, planetMaterial, 'normalMap', THREE.NoColorSpace);
+        if (data.nightLights) {
+            this.addNightLights(planetMaterial, data);
+        }
+        
         planet.castShadow = true;
         planet.receiveShadow = true;
+        planet.userData = { bodyId: data.id };
+        planet.add(this.createAxisLine());
         
         // 軌道グループ（公転用）
         const orbitGroup = new THREE.Group();
@@ -265,528 +587,2909 @@ class SolarSystemViewer {
         planetGroup.add(planet);
         orbitGroup.add(planetGroup);
         
-        // 初期位置設定
-        planetGroup.position.x = data.distance;
-        
         // アニメーション用データ
         orbitGroup.userData = {
             planet: planet,
             planetGroup: planetGroup,
             data: data,
-            orbitAngle: Math.random() * Math.PI * 2, // 初期角度をランダムに
-            rotationSpeed: (2 * Math.PI) / (data.rotationPeriod * this.timeScale),
-            orbitalSpeed: (2 * Math.PI) / (data.orbitalPeriod * this.timeScale * 0.01)
+            tilt: this.getAxisTilt(data),
+            orbitFrame: orbitFrameRotation(data, this.catalog.bodies),
+            clouds: data.clouds ? this.createClouds(planet, data) : null,
+            comet: data.type === 'comet' ? new CometEffects(data) : null,
+            trail: this.createTrail(data)
         };
         
-        this.planets.push(orbitGroup);
-        this.scaleGroup.add(orbitGroup);
+        // 彗星のコマと尾（核と一緒に移動する。尾の向きは updatePlanetPosition で決める）
+        if (orbitGroup.userData.comet) {
+            planetGroup.add(orbitGroup.userData.comet.group);
+        }
+        
+        this.bodies.set(data.id, orbitGroup);
+        parentGroup.add(orbitGroup);
         
-        // 土星の場合はリングを追加
-        if (data.name === '土星') {
-            this.createSaturnRings(planetGroup);
+        // 衛星のラベルは親天体に重なって見えるときに薄くする
+        const parentMesh = data.parent === this.catalog.root.id ? null : this.getBodyMesh(data.parent);
+        this.labels.add(data, this.getBodyMesh(data.id), parentMesh);
+        
+        // リングの定義があれば追加
+        if (data.rings.length > 0) {
+            this.createRings(planet, data);
         }
+        
+        // 衛星
+        data.children.forEach(child => this.createPlanet(child, planetGroup));
     }
     
-    createOrbits() {
-        Object.keys(this.planetData).forEach((key) => {
-            const data = this.planetData[key];
-            this.createOrbitLine(data);
-        });
+    // 自転軸（北極の方向）をシーンのY軸から傾ける回転。pole がなければ黄道の北極向き
+    getAxisTilt(data) {
+        const tilt = new THREE.Quaternion();
+        if (data.pole) {
+            tilt.setFromUnitVectors(new THREE.Vector3(0, 1, 0), poleDirection(data.pole));
+        }
+        return tilt;
+    }
+    
+    // 自転軸の傾きと自転角から天体の姿勢を決める（子のリング・雲も赤道面に揃う）
+    setBodyOrientation(mesh, tilt, spin) {
+        mesh.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), spin).premultiply(tilt);
     }
     
-    createOrbitLine(data) {
-        const points = [];
-        const segments = 64;
+    // 自転軸の線（天体の半径を1として、北極側が赤、南極側が青）
+    createAxisLine() {
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 1.6, 0),
+            new THREE.Vector3(0, -1.6, 0)
+        ]);
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute([1, 0.4, 0.4, 0.4, 0.4, 1], 3));
         
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            
-            // 楕円軌道計算
-            const a = data.distance; // 長半径
-            const e = data.eccentricity; // 離心率
-            const r = a * (1 - e * e) / (1 + e * Math.cos(angle));
-            
-            const x = r * Math.cos(angle);
-            const z = r * Math.sin(angle);
-            
-            points.push(new THREE.Vector3(x, 0, z));
+        const axisLine = new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        axisLine.raycast = () => {};
+        axisLine.visible = this.showAxes;
+        this.axisLines.push(axisLine);
+        return axisLine;
+    }
+    
+    setupDisplayToggles() {
+        const orbitToggle = this.getElement('orbitToggle');
+        if (orbitToggle) {
+            orbitToggle.checked = this.showOrbits;
+            this.listen(orbitToggle, 'change', () => this.setOrbitsVisible(orbitToggle.checked));
         }
         
-        const orbitGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        const orbitMaterial = new THREE.LineBasicMaterial({ 
-            color: 0xAAAAAA,
-            transparent: true,
-            opacity: 0.3
+        const axisToggle = this.getElement('axisToggle');
+        if (axisToggle) {
+            axisToggle.checked = this.showAxes;
+            this.listen(axisToggle, 'change', () => this.setAxesVisible(axisToggle.checked));
+        }
+        
+        const trailToggle = this.getElement('trailToggle');
+        if (trailToggle) {
+            trailToggle.checked = this.showTrails;
+            this.listen(trailToggle, 'change', () => this.setTrailsVisible(trailToggle.checked));
+        }
+    }
+    
+    setAxesVisible(visible) {
+        this.showAxes = visible;
+        this.axisLines.forEach((axisLine) => {
+            axisLine.visible = visible;
         });
         
-        const orbitLine = new THREE.Line(orbitGeometry, orbitMaterial);
-        this.orbits.push(orbitLine);
-        this.scaleGroup.add(orbitLine);
+        const axisToggle = this.getElement('axisToggle');
+        if (axisToggle) axisToggle.checked = visible;
     }
     
-    createMoon() {
-        // 地球を見つける
-        const earthOrbitGroup = this.planets.find(planet => 
-            planet.userData.data.name === '地球'
-        );
+    // 公転の軌跡（太陽系全体の座標で記録するので scaleGroup に置く）
+    // 衛星は親天体と太陽を回る道筋が分かるよう、公転周期の数倍の長さを残す
+    createTrail(data) {
+        const isMoon = data.parent !== this.catalog.root.id;
+        const duration = Math.abs(data.orbitalPeriod || 365.25) * (isMoon ? 4 : 1);
         
-        if (earthOrbitGroup) {
-            // 月の作成
-            const moonGeometry = new THREE.SphereGeometry(0.27, 8, 8);
-            const moonMaterial = new THREE.MeshLambertMaterial({ color: 0xcccccc });
-            const moon = new THREE.Mesh(moonGeometry, moonMaterial);
-            
-            moon.castShadow = true;
-            moon.receiveShadow = true;
-            
-            // 月の軌道グループ
-            const moonOrbitGroup = new THREE.Group();
-            moonOrbitGroup.add(moon);
-            
-            // 月の初期位置（地球から距離3.84）
-            moon.position.x = 3.84;
-            
-            // 月を地球の惑星グループに追加
-            earthOrbitGroup.userData.planetGroup.add(moonOrbitGroup);
-            
-            // 月のアニメーションデータ
-            moonOrbitGroup.userData = {
-                moon: moon,
-                orbitAngle: 0,
-                orbitalSpeed: (2 * Math.PI) / (27.3 * this.timeScale * 0.01), // 月の公転周期27.3日
-                rotationSpeed: (2 * Math.PI) / (27.3 * this.timeScale) // 月の自転周期（潮汐固定）
-            };
-              this.moon = moonOrbitGroup;
-        }
+        const trail = new OrbitTrail(data.color, duration);
+        trail.mesh.visible = this.showTrails;
+        this.scaleGroup.add(trail.mesh);
+        return trail;
     }
     
-    createSaturnRings(saturnGroup) {
-        // 土星のリング作成
-        const ringInnerRadius = 2.8; // 土星の半径より少し大きく
-        const ringOuterRadius = 4.2;
-        const ringSegments = 64;
+    setTrailsVisible(visible) {
+        this.showTrails = visible;
+        this.clearTrails(); // 表示していない間の位置は記録していない
+        this.updateTrailVisibility();
         
-        const ringGeometry = new THREE.RingGeometry(ringInnerRadius, ringOuterRadius, ringSegments);
-        const ringMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0xccaa88,
-            transparent: true,
-            opacity: 0.8,
-            side: THREE.DoubleSide
+        const trailToggle = this.getElement('trailToggle');
+        if (trailToggle) trailToggle.checked = visible;
+    }
+    
+    // 隠した天体の軌跡は表示しない（軌跡は scaleGroup にあり、親天体と一緒には隠れない）
+    updateTrailVisibility() {
+        this.bodies.forEach(({ userData }, id) => {
+            userData.trail.mesh.visible = this.showTrails && this.isBodyShown(id);
         });
+    }
+    
+    clearTrails() {
+        this.bodies.forEach(({ userData }) => userData.trail.clear());
+    }
+    
+    // 天体の scaleGroup 内での位置（公転グループは回転・拡大しないので位置を足し合わせる）
+    getSystemPosition(orbitGroup, target = new THREE.Vector3()) {
+        target.set(0, 0, 0);
+        for (let object = orbitGroup.userData.planetGroup; object && object !== this.scaleGroup; object = object.parent) {
+            target.add(object.position);
+        }
+        return target;
+    }
+    
+    // 表示スケールの切り替え中は位置が実際の軌道からずれるので記録しない
+    updateTrails(days) {
+        if (!this.showTrails || this.scaleTransition) return;
         
-        const rings = new THREE.Mesh(ringGeometry, ringMaterial);
-        
-        // リングを水平に配置
-        rings.rotation.x = Math.PI / 2;
-        
-        rings.castShadow = true;
-        rings.receiveShadow = true;
-        
-        saturnGroup.add(rings);
+        const position = new THREE.Vector3();
+        this.bodies.forEach((orbitGroup) => {
+            orbitGroup.userData.trail.record(days, this.getSystemPosition(orbitGroup, position));
+        });
+    }
+    
+    // 小惑星帯・カイパーベルト（カタログとは別に作り、表示・粒子数をUIで切り替える）
+    setupBelts() {
+        const container = this.getElement('beltControls');
         
-        // 追加のリング層
-        const ring2Geometry = new THREE.RingGeometry(ringInnerRadius + 0.3, ringOuterRadius - 0.3, ringSegments);
-        const ring2Material = new THREE.MeshLambertMaterial({ 
-            color: 0xddbb99,
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
+        BELTS.forEach((belt) => {
+            const particleBelt = new ParticleBelt(belt);
+            particleBelt.setLogDistanceWeight(this.logDistanceWeight);
+            particleBelt.mesh.visible = this.viewState.belts?.includes(belt.id) ?? true;
+            this.scaleGroup.add(particleBelt.mesh);
+            this.belts.set(belt.id, particleBelt);
+            
+            if (!container) return;
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            label.className = 'toggle';
+            checkbox.type = 'checkbox';
+            checkbox.checked = particleBelt.mesh.visible;
+            checkbox.dataset.beltId = belt.id;
+            checkbox.addEventListener('change', () => this.setBeltVisible(belt.id, checkbox.checked));
+            label.append(checkbox, ' ', createText(`belt.${belt.id}`));
+            
+            const countSelect = document.createElement('select');
+            countSelect.className = 'input';
+            countSelect.title = t(`beltCount.${belt.id}`);
+            countSelect.dataset.i18nTitle = `beltCount.${belt.id}`;
+            BELT_COUNTS.forEach((count) => {
+                countSelect.appendChild(new Option(count.toLocaleString(getLocale()), count));
+            });
+            countSelect.value = belt.defaultCount;
+            countSelect.addEventListener('change', () => this.setBeltCount(belt.id, Number(countSelect.value)));
+            
+            container.append(label, countSelect);
         });
+    }
+    
+    setBeltVisible(beltId, visible) {
+        const particleBelt = this.belts.get(beltId);
+        if (particleBelt) particleBelt.mesh.visible = visible;
         
-        const rings2 = new THREE.Mesh(ring2Geometry, ring2Material);
-        rings2.rotation.x = Math.PI / 2;
-        rings2.position.y = 0.01; // 少しずらして重ねる
+        const checkbox = this.getElement('beltControls')?.querySelector(`input[data-belt-id="${beltId}"]`);
+        if (checkbox) checkbox.checked = visible;
+    }
+    
+    setLogDistanceWeight(weight) {
+        this.logDistanceWeight = weight;
+        this.belts.forEach(particleBelt => particleBelt.setLogDistanceWeight(weight));
         
-        saturnGroup.add(rings2);
+        // 彗星の軌道線は点ごとに距離を変換しているので描き直す
+        this.orbits.forEach((orbitLine) => {
+            if (orbitLine.userData.data.type === 'comet') this.updateOrbitLineGeometry(orbitLine);
+        });
     }
     
-    setupXR() {
-        // ARボタン
-        const arButton = document.getElementById('arButton');
-        if (arButton) {
-            arButton.addEventListener('click', () => {
-                if (navigator.xr) {
-                    navigator.xr.isSessionSupported('immersive-ar').then((supported) => {
-                        if (supported) {
-                            this.renderer.xr.getSession()?.end();
-                            this.renderer.xr.getSession() || 
-                            navigator.xr.requestSession('immersive-ar', {
-                                requiredFeatures: ['local-floor']
-                            }).then((session) => {
-                                this.renderer.xr.setSession(session);
-                                this.onARStart();
-                            });
-                        } else {
-                            alert('ARモードはサポートされていません');
-                        }
-                    });
-                } else {
-                    alert('WebXRはサポートされていません');
-                }
+    // 天体の名前ラベル（分類ごとに表示を切り替える）
+    setupLabels() {
+        this.labels = new BodyLabels(this.getElement('labels'), this.scene, bodyId => this.isBodyShown(bodyId));
+        if (this.viewState.labels) {
+            LABEL_CATEGORIES.forEach((category) => {
+                this.labels.setCategoryVisible(category.id, this.viewState.labels.includes(category.id));
             });
         }
         
-        // VRボタン
-        const vrButton = document.getElementById('vrButton');
-        if (vrButton) {
-            vrButton.addEventListener('click', () => {
-                if (navigator.xr) {
-                    navigator.xr.isSessionSupported('immersive-vr').then((supported) => {
-                        if (supported) {
-                            this.renderer.xr.getSession()?.end();
-                            this.renderer.xr.getSession() || 
-                            navigator.xr.requestSession('immersive-vr', {
-                                requiredFeatures: ['local-floor']
-                            }).then((session) => {
-                                this.renderer.xr.setSession(session);
-                                this.onVRStart();
-                            });
-                        } else {
-                            alert('VRモードはサポートされていません');
-                        }
-                    });
-                } else {
-                    alert('WebXRはサポートされていません');
-                }
-            });
-        }
+        const container = this.getElement('labelControls');
+        if (!container) return;
         
-        this.setupControllers();
-        this.setupSessionEvents();
+        LABEL_CATEGORIES.forEach((category) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            label.className = 'toggle';
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.labels.isCategoryVisible(category.id);
+            checkbox.dataset.category = category.id;
+            checkbox.addEventListener('change', () => this.labels.setCategoryVisible(category.id, checkbox.checked));
+            label.append(checkbox, ' ', createText(`labelToggle.${category.id}`));
+            container.appendChild(label);
+        });
     }
     
-    setupSessionEvents() {
-        // XRセッション終了時のイベントリスナー
-        this.renderer.xr.addEventListener('sessionstart', () => {
-            // セッション開始時の処理は各モードの開始メソッドで行う
+    // すべての分類の名前ラベルをまとめて切り替える
+    setLabelsVisible(visible) {
+        this.setLabelCategoriesVisible(visible ? LABEL_CATEGORIES.map(category => category.id) : []);
+    }
+    
+    // categoryIds の分類だけ名前を表示する
+    setLabelCategoriesVisible(categoryIds) {
+        LABEL_CATEGORIES.forEach(category => this.labels.setCategoryVisible(category.id, categoryIds.includes(category.id)));
+        this.getElement('labelControls')?.querySelectorAll('input').forEach((checkbox) => {
+            checkbox.checked = categoryIds.includes(checkbox.dataset.category);
         });
+    }
+    
+    updateLabels(deltaTime) {
+        const isXR = this.renderer.xr.isPresenting;
+        const camera = isXR ? this.renderer.xr.getCamera() : this.camera;
+        const viewport = this.getViewportSize();
+        const fadeDistance = this.getSystemRadius() * this.currentScale * this.labelFadeFactor;
         
-        this.renderer.xr.addEventListener('sessionend', () => {
-            this.onXREnd();
-        });
+        this.labels.update(camera, viewport, isXR, deltaTime, fadeDistance);
     }
     
-    onARStart() {
-        console.log('ARモード開始 - サイズを0.3倍に縮小');
-        this.setSystemScale(this.arScale);
-        this.positionSolarSystemForAR();
-        this.updateControllerAppearance();
+    setBeltCount(beltId, count) {
+        this.belts.get(beltId)?.setCount(count);
+        console.log(`${beltId}: 粒子数 ${count}`);
     }
     
-    onVRStart() {
-        console.log('VRモード開始 - デフォルトサイズ');
-        this.setSystemScale(this.vrScale);
-        this.positionSolarSystemForVR();
-        this.updateControllerAppearance();
+    // 夜側だけに光る街明かり（emissiveMap を太陽と反対側の面だけに効かせる）
+    addNightLights(material, data) {
+        material.emissive.setHex(0xffffff);
+        material.emissiveMap = createNightLightsTexture(data);
+        this.loadTexture(data.nightLights.textureUrl, material, 'emissiveMap');
+        
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.sunPosition = this.sunPositionUniform;
+            
+            shader.vertexShader = 'uniform vec3 sunPosition;\nvarying float vSunFacing;\n' + shader.vertexShader.replace(
+                '#include <project_vertex>',
+                `#include <project_vertex>
+                vec3 nightWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+                vec3 nightWorldNormal = normalize(mat3(modelMatrix) * objectNormal);
+                vSunFacing = dot(nightWorldNormal, normalize(sunPosition - nightWorldPosition));`
+            );
+            shader.fragmentShader = 'varying float vSunFacing;\n' + shader.fragmentShader.replace(
+                '#include <emissivemap_fragment>',
+                `#include <emissivemap_fragment>
+                totalEmissiveRadiance *= 1.0 - smoothstep(-0.1, 0.15, vSunFacing);`
+            );
+        };
+        material.customProgramCacheKey = () => 'nightLights';
     }
     
-    onXREnd() {
-        console.log('XRモード終了 - デフォルトサイズ');
-        this.setSystemScale(this.baseScale);
-        this.resetSolarSystemPosition();
+    // 地表とは別に回る雲の層（惑星本体の子、半径は本体の1.01倍）
+    createClouds(planet, data) {
+        const material = new THREE.MeshLambertMaterial({
+            map: createCloudTexture(data),
+            transparent: true,
+            opacity: data.clouds.opacity ?? 0.8,
+            depthWrite: false
+        });
+        this.loadTexture(data.clouds.textureUrl, material, 'map');
+        
+        const clouds = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), material);
+        clouds.scale.setScalar(1.01);
+        clouds.raycast = () => {}; // 天体の選択は本体で判定する
+        clouds.receiveShadow = true;
+        planet.add(clouds);
+        return clouds;
     }
     
-    positionSolarSystemForAR() {
-        // XRモード時：視点から少し手前、少し上に配置
-        this.scaleGroup.position.set(0, 0.8, -1); // 目の高さより少し上、2m手前
-        console.log('太陽系位置をXRモード用に調整');
+    // 惑星などの軌道は太陽のまわり、衛星の軌道は親天体のまわり（親天体と一緒に移動する）に描く
+    createOrbits() {
+        const addOrbit = (data, parentGroup) => {
+            this.createOrbitLine(data, parentGroup);
+            const planetGroup = this.bodies.get(data.id).userData.planetGroup;
+            data.children.forEach(child => addOrbit(child, planetGroup));
+        };
+        this.catalog.root.children.forEach(data => addOrbit(data, this.scaleGroup));
     }
     
-    positionSolarSystemForVR() {
-        // XRモード時：視点から少し手前、少し上に配置
-        this.scaleGroup.position.set(0, 0.0, -3); // 目の高さより少し上、2m手前
-        console.log('太陽系位置をXRモード用に調整');
+    // 表示上の軌道長半径と実際の長半径 a の比（軌道要素の単位 → シーン単位）
+    // 彗星は点ごとに距離を変換するので1
+    getOrbitDisplayScale(data) {
+        if (data.type === 'comet') return 1;
+        return this.bodies.get(data.id).userData.display.distance / data.elements.a;
     }
     
-    resetSolarSystemPosition() {
-        // 通常モード時：原点に配置
-        this.scaleGroup.position.set(0, 0, 0);
-        console.log('太陽系位置をデフォルトに復帰');
+    // 彗星の日心位置（AU）を表示上の位置へ（太陽からの距離だけを表示スケールで変換する）
+    // 軌道が極端に細長いため、軌道全体を一律に拡大縮小すると対数圧縮で太陽に近づきすぎる
+    toCometDisplayPosition(position) {
+        const distance = position.length();
+        if (distance === 0) return position.clone();
+        return position.clone().multiplyScalar(radialDisplayDistance(distance, this.logDistanceWeight) / distance);
     }
     
-    setSystemScale(scale) {
-        this.currentScale = scale;
-        this.scaleGroup.scale.setScalar(scale);
-        this.adjustLightingForScale(scale);
+    // 軌道線の点列（惑星・衛星は軌道要素の単位のまま、表示スケールは線の scale で掛ける）
+    getOrbitLinePoints(data) {
+        if (data.type !== 'comet') {
+            return orbitPoints(data.elements, this.simulationClock.time, 128);
+        }
+        
+        // 彗星は近日点付近が急に曲がるので細かく分割する
+        return orbitPoints(data.elements, this.simulationClock.time, 512)
+            .map(point => this.toCometDisplayPosition(point));
     }
     
-    adjustLightingForScale(scale) {
-        if (this.sunLight) {
-            // スケールが小さくなるほど光の強度を下げて、距離を調整
-            const baseIntensity = 1000;
-            const baseDistance = 1000;
-            
-            // スケールに応じて強度と距離を調整
-            this.sunLight.intensity = baseIntensity * (scale * scale); // 距離の二乗に比例
-            this.sunLight.distance = baseDistance * scale;
+    updateOrbitLineGeometry(orbitLine) {
+        orbitLine.geometry.dispose();
+        orbitLine.geometry = new THREE.BufferGeometry().setFromPoints(this.getOrbitLinePoints(orbitLine.userData.data));
+    }
+    
+    createOrbitLine(data, parentGroup) {
+        // 惑星の位置計算と同じ軌道要素から描画（傾斜・近日点の向きを含む）
+        const orbitGeometry = new THREE.BufferGeometry().setFromPoints(this.getOrbitLinePoints(data));
+        const orbitMaterial = new THREE.LineBasicMaterial({ 
+            color: 0xAAAAAA,
+            transparent: true,
+            opacity: this.orbitOpacity.normal
+        });
+        
+        const orbitLine = new THREE.Line(orbitGeometry, orbitMaterial);
+        orbitLine.quaternion.copy(orbitFrameRotation(data, this.catalog.bodies)); // 親天体の赤道面が基準の軌道要素
+        orbitLine.userData = { data: data };
+        this.orbits.push(orbitLine);
+        parentGroup.add(orbitLine);
+    }
+    
+    // 選択中・ポイント中の天体の軌道を明るくし、それ以外を暗くする
+    updateOrbitHighlight() {
+        const highlightedIds = [this.selectedBodyId, this.hoveredBodyId].filter(Boolean);
+        
+        this.orbits.forEach((orbitLine) => {
+            const isHighlighted = highlightedIds.includes(orbitLine.userData.data.id);
+            let opacity = this.orbitOpacity.normal;
+            if (highlightedIds.length > 0) {
+                opacity = isHighlighted ? this.orbitOpacity.highlighted : this.orbitOpacity.dimmed;
+            }
             
-            console.log(`ライト調整: scale=${scale}, intensity=${this.sunLight.intensity}, distance=${this.sunLight.distance}`);
-        }
+            orbitLine.material.opacity = opacity;
+            orbitLine.material.color.setHex(isHighlighted ? 0x66ccff : 0xaaaaaa);
+        });
     }
     
-    setupControllers() {
-        const controllerModelFactory = new XRControllerModelFactory();
+    // XRでコントローラー・手のレイが指している天体
+    updateXRHover() {
+        if (!this.renderer.xr.isPresenting) return;
         
-        // コントローラー1
-        this.controller1 = this.renderer.xr.getController(0);
-        this.controller1.addEventListener('selectstart', this.onSelectStart.bind(this));
-        this.controller1.addEventListener('selectend', this.onSelectEnd.bind(this));
-        this.scene.add(this.controller1);
+        this.hoveredBodyId = null;
+        [this.controller1, this.controller2].forEach((controller) => {
+            if (this.hoveredBodyId || !controller?.visible) return;
+            this.hoveredBodyId = this.pickBodyWithController(controller);
+        });
+    }
+    
+    // 日付のジャンプ後、その時点の軌道要素で軌道線を描き直す
+    updateOrbitLines() {
+        this.orbits.forEach(orbitLine => this.updateOrbitLineGeometry(orbitLine));
+    }
+    
+    // リングは惑星本体の子にして、惑星の半径を1とした大きさで作る（表示スケールに追従）
+    // 全リングを1枚の板にし、半径方向のテクスチャで各リングの色・濃さと隙間を表す
+    createRings(planet, data) {
+        const ringSegments = 128;
+        const innerRadius = Math.min(...data.rings.map(ring => ring.innerRadius));
+        const outerRadius = Math.max(...data.rings.map(ring => ring.outerRadius));
         
-        this.controllerGrip1 = this.renderer.xr.getControllerGrip(0);
-        this.controllerGrip1.add(controllerModelFactory.createControllerModel(this.controllerGrip1));
-        this.scene.add(this.controllerGrip1);
+        const ringGeometry = new THREE.RingGeometry(
+            innerRadius / data.radiusKm,
+            outerRadius / data.radiusKm,
+            ringSegments
+        );
+        
+        // UVのuを内縁0〜外縁1の半径方向にする
+        const position = ringGeometry.attributes.position;
+        const uv = ringGeometry.attributes.uv;
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i);
+            const radiusKm = vertex.length() * data.radiusKm;
+            uv.setXY(i, (radiusKm - innerRadius) / (outerRadius - innerRadius), 0.5);
+        }
+        
+        const ringMaterial = new THREE.MeshLambertMaterial({ 
+            map: createRingTexture(data, innerRadius, outerRadius),
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        const ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
+        
+        // リングを赤道面に配置（惑星本体の姿勢で自転軸に合わせて傾く）
+        ringMesh.rotation.x = Math.PI / 2;
+        
+        ringMesh.castShadow = true;
+        ringMesh.receiveShadow = true;
+        
+        planet.add(ringMesh);
+    }
+    
+    setupXR() {
+        // AR・VRボタン（押すとそのモードを開始、セッション中は終了）
+        Object.entries(XR_MODES).forEach(([mode, { buttonId, optionKey }]) => {
+            const button = this.getElement(buttonId);
+            if (!button) return;
+            button.hidden = !this.options[optionKey];
+            if (this.options[optionKey]) {
+                this.listen(button, 'click', () => this.toggleXRSession(mode));
+            }
+        });
+        
+        // 対応状況はページの読み込み時と、ヘッドセットをつないだ・外したときに確かめる
+        this.updateXRButtonSupport();
+        if (navigator.xr) {
+            this.listen(navigator.xr, 'devicechange', () => this.updateXRButtonSupport());
+        }
+        
+        // ARの置き直し（dom-overlay に対応した端末では画面上のボタン）
+        this.listen(this.getElement('placeButton'), 'click', () => this.startARPlacement());
+        // UIのタップで配置・選択しない
+        this.listen(this.getElement('ui'), 'beforexrselect', event => event.preventDefault());
+        
+        this.setupControllers();
+        this.createReticle();
+        this.setupXRMenu();
+        this.locomotion = new VRLocomotion(this.scaleGroup);
+        this.scene.add(this.locomotion.vignette);
+        this.setupSessionEvents();
+    }
+    
+    // 対応していないモードのボタンは押せなくし、理由を title に出す
+    async updateXRButtonSupport() {
+        for (const [mode, { label, buttonId }] of Object.entries(XR_MODES)) {
+            const button = this.getElement(buttonId);
+            if (!button || button.hidden) continue;
+            
+            let reason = '';
+            if (!navigator.xr) {
+                reason = t(window.isSecureContext ? 'xr.noWebXR' : 'xr.needsHttps');
+            } else {
+                const supported = await navigator.xr.isSessionSupported(mode).catch(() => false);
+                if (!supported) reason = t('xr.unsupported', { mode: label });
+            }
+            if (this.disposed) return;
+            
+            // セッション中のボタンは終了に使うので押せるままにする
+            button.disabled = reason !== '' && this.xrMode !== mode;
+            button.title = reason;
+        }
+    }
+    
+    updateXRButtons() {
+        Object.entries(XR_MODES).forEach(([mode, { label, buttonId }]) => {
+            const button = this.getElement(buttonId);
+            if (!button) return;
+            button.textContent = this.xrMode === mode ? t('xr.exit', { mode: label }) : label;
+        });
+    }
+    
+    // 同じモードのセッション中なら終了し、それ以外は（別のモードを終えてから）開始する
+    async toggleXRSession(mode) {
+        if (this.xrMode === mode) {
+            await this.endXRSession();
+            return;
+        }
+        await this.startXRSession(mode);
+    }
+    
+    async endXRSession() {
+        const session = this.renderer.xr.getSession();
+        if (!session) return;
+        
+        // セッションの end イベントまで待つ（renderer.xr が先に同じイベントで sessionend（onXREnd）を出す）
+        // 終わっているなどで end() が失敗したら end イベントは来ないので待たない
+        let onEnd;
+        const ended = new Promise((resolve) => {
+            onEnd = resolve;
+            session.addEventListener('end', onEnd);
+        });
+        try {
+            await session.end();
+            await ended;
+        } catch {
+            // すでに終わったセッション
+        } finally {
+            session.removeEventListener('end', onEnd);
+        }
+    }
+    
+    async startXRSession(mode) {
+        if (this.isStartingSession) return;
+        this.isStartingSession = true;
+        const { label } = XR_MODES[mode];
+        
+        try {
+            await this.endXRSession();
+            if (!navigator.xr) throw new Error(t('xr.noWebXR'));
+            
+            const session = await navigator.xr.requestSession(mode, this.getSessionInit(mode));
+            if (this.disposed) {
+                session.end();
+                return;
+            }
+            
+            // 'local-floor' が使えない端末では 'local'（原点が目の高さ）にする
+            const referenceSpaceType = await session.requestReferenceSpace('local-floor').then(() => 'local-floor', () => 'local');
+            this.referenceHeight = referenceSpaceType === 'local-floor' ? 0 : -this.eyeHeight;
+            this.renderer.xr.setReferenceSpaceType(referenceSpaceType);
+            
+            this.saveXRStartState();
+            this.xrMode = mode;
+            await this.renderer.xr.setSession(session);
+            console.log(`${label}セッション開始（${referenceSpaceType}、機能: ${(session.enabledFeatures || ['不明']).join(', ')}）`);
+            
+            mode === 'immersive-ar' ? this.onARStart() : this.onVRStart();
+            this.updateXRButtons();
+        } catch (error) {
+            console.error(`${label}セッションを開始できません`, error);
+            if (!this.renderer.xr.getSession()) {
+                this.xrMode = null;
+                this.xrStartState = null;
+            }
+            this.showMessage(t('xr.startFailed', { mode: label, reason: error.message || error.name }), 'error');
+        } finally {
+            this.isStartingSession = false;
+        }
+    }
+    
+    // 必須の機能は求めず、使えるものだけ使う（使う前に hasXRFeature で確かめる）
+    getSessionInit(mode) {
+        const optionalFeatures = ['local-floor', 'hand-tracking', 'layers'];
+        if (mode !== 'immersive-ar') return { optionalFeatures };
+        
+        return {
+            optionalFeatures: [...optionalFeatures, 'hit-test', 'anchors', 'dom-overlay'],
+            domOverlay: { root: this.getElement('ui') || this.container }
+        };
+    }
+    
+    // セッションで機能が有効か（enabledFeatures がない古いブラウザでは、使ってみて失敗したら諦める）
+    hasXRFeature(feature) {
+        const features = this.renderer.xr.getSession()?.enabledFeatures;
+        return features ? features.includes(feature) : true;
+    }
+    
+    setupSessionEvents() {
+        // XRセッション終了時のイベントリスナー（開始時の処理は startXRSession で行う）
+        // renderer.xr は AbortSignal で外せないので、dispose で removeEventListener する
+        this.handleXRSessionEnd = () => this.onXREnd();
+        this.renderer.xr.addEventListener('sessionend', this.handleXRSessionEnd);
+    }
+    
+    // セッションに入る前の表示（大きさ・位置・向き）を覚えておき、終了時に戻す
+    saveXRStartState() {
+        if (this.xrStartState) return;
+        this.xrStartState = {
+            scale: this.currentScale,
+            position: this.scaleGroup.position.clone(),
+            quaternion: this.scaleGroup.quaternion.clone()
+        };
+    }
+    
+    // 前回同じモードで使っていた太陽系の大きさ・位置・向きに戻す（なければ false）
+    restoreXRPlacement(mode) {
+        const placement = this.xrPlacements.get(mode);
+        if (!placement) return false;
+        
+        this.setSystemScale(placement.scale);
+        this.scaleGroup.position.copy(placement.position);
+        this.scaleGroup.quaternion.copy(placement.quaternion);
+        return true;
+    }
+    
+    onARStart() {
+        console.log('ARモード開始');
+        if (!this.restoreXRPlacement('immersive-ar')) {
+            this.setSystemScale(this.arScale);
+            this.positionSolarSystemForAR();
+        }
+        this.updateControllerAppearance();
+        
+        // 検出した平面に置けるようにする（非対応なら固定位置のまま）
+        this.startARPlacement();
+        this.requestHitTestSource();
+        
+        // 画面上のボタンは dom-overlay が使えるときだけ見える
+        const placeButton = this.getElement('placeButton');
+        if (placeButton) placeButton.hidden = !this.hasXRFeature('dom-overlay');
+        this.dispatchEvent({ type: 'sessionstart', mode: 'ar' });
+    }
+    
+    onVRStart() {
+        console.log('VRモード開始');
+        if (!this.restoreXRPlacement('immersive-vr')) {
+            this.setSystemScale(this.vrScale);
+            this.positionSolarSystemForVR();
+        }
+        this.updateControllerAppearance();
+        this.dispatchEvent({ type: 'sessionstart', mode: 'vr' });
+    }
+    
+    onXREnd() {
+        if (this.disposed) return; // 破棄した後に終わったセッション
+        console.log('XRモード終了 - セッション前の表示に復帰');
+        const focusId = this.xrFocus?.bodyId ?? null;
+        
+        // 次に同じモードへ入ったときのために太陽系の置き方を覚えておく
+        if (this.xrMode) {
+            this.xrPlacements.set(this.xrMode, {
+                scale: this.currentScale,
+                position: this.scaleGroup.position.clone(),
+                quaternion: this.scaleGroup.quaternion.clone()
+            });
+        }
+        
+        this.grabbingInputs = [];
+        this.twoHandedGrab = null;
+        this.isDragging = false;
+        this.dragController = null;
+        this.xrFocus = null;
+        this.locomotion.reset();
+        this.resetARPlacement();
+        this.hoveredBodyId = null;
+        this.xrMode = null;
+        
+        // セッション前の大きさ・位置・向きに戻す（日時・選択はそのまま）
+        const state = this.xrStartState;
+        this.xrStartState = null;
+        if (state) {
+            this.setSystemScale(state.scale);
+            this.scaleGroup.position.copy(state.position);
+            this.scaleGroup.quaternion.copy(state.quaternion);
+        } else {
+            this.setSystemScale(this.baseScale);
+            this.resetSolarSystemPosition();
+        }
+        
+        // XRでフォーカスしていた天体はPCのカメラでフォーカスし直す
+        if (focusId && this.bodies.has(focusId)) this.focusBody(focusId);
+        if (this.selectedBodyId) this.updateInfoPanel();
+        
+        this.updateXRButtons();
+        this.updateXRButtonSupport();
+        this.dispatchEvent({ type: 'sessionend' });
+    }
+    
+    positionSolarSystemForAR() {
+        // XRモード時：視点から少し手前、少し上に配置
+        this.scaleGroup.position.set(0, 0.8 + this.referenceHeight, -1); // 目の高さより少し下、1m手前
+        console.log('太陽系位置をXRモード用に調整');
+    }
+    
+    createReticle() {
+        const geometry = new THREE.RingGeometry(0.06, 0.08, 32).rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x66ccff,
+            transparent: true,
+            opacity: 0.8
+        });
+        
+        this.reticle = new THREE.Mesh(geometry, material);
+        this.reticle.matrixAutoUpdate = false; // ヒットテストの姿勢をそのまま使う
+        this.reticle.raycast = () => {};
+        this.reticle.visible = false;
+        this.scene.add(this.reticle);
+    }
+    
+    // 視線（スマートフォンでは画面中央）の先の平面を検出するヒットテストを開始
+    async requestHitTestSource() {
+        const session = this.renderer.xr.getSession();
+        if (!this.hasXRFeature('hit-test') || !session.requestHitTestSource) {
+            console.warn('ヒットテスト非対応 - 固定位置に配置');
+            this.isPlacingAR = false;
+            return;
+        }
+        
+        try {
+            const viewerSpace = await session.requestReferenceSpace('viewer');
+            const hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+            
+            // 待っている間にセッションが終わった場合
+            if (this.renderer.xr.getSession() !== session) {
+                hitTestSource.cancel();
+                return;
+            }
+            this.hitTestSource = hitTestSource;
+        } catch (error) {
+            console.warn('ヒットテスト非対応 - 固定位置に配置', error);
+            this.isPlacingAR = false;
+        }
+    }
+    
+    // 置き直す（アンカーを外し、レティクルで置き場所を選ぶ）
+    startARPlacement() {
+        if (!this.isARMode()) return;
+        
+        this.placementAnchor?.delete();
+        this.placementAnchor = null;
+        this.isPlacingAR = true;
+        console.log('AR配置: 置き場所を選択');
+    }
+    
+    // レティクルの位置に太陽系を置き、アンカーが使えれば固定する
+    placeAtReticle() {
+        if (!this.isPlacingAR || !this.lastHitResult) return false;
+        
+        const hitResult = this.lastHitResult;
+        this.isPlacingAR = false;
+        this.lastHitResult = null;
+        this.reticle.visible = false;
+        
+        this.anchorOffset.copy(this.getPlacementLift());
+        this.scaleGroup.position.setFromMatrixPosition(this.reticle.matrix).add(this.anchorOffset);
+        
+        if (!this.hasXRFeature('anchors') || !hitResult.createAnchor) {
+            console.log('AR配置: アンカー非対応 - 位置を固定せずに配置');
+            return true;
+        }
+        
+        hitResult.createAnchor().then((anchor) => {
+            // 待っている間に置き直しやセッション終了があった場合は捨てる
+            if (this.isPlacingAR || !this.renderer.xr.isPresenting) {
+                anchor.delete();
+                return;
+            }
+            this.placementAnchor?.delete();
+            this.placementAnchor = anchor;
+        }).catch((error) => {
+            console.warn('アンカーを作成できません', error);
+        });
+        
+        console.log('AR配置: 太陽系を平面に配置');
+        return true;
+    }
+    
+    // 太陽が平面に埋まらないよう持ち上げる量
+    getPlacementLift() {
+        const sunRadius = this.sun ? this.sun.userData.display.radius * this.currentScale : 0;
+        return new THREE.Vector3(0, sunRadius, 0);
+    }
+    
+    updateARPlacement() {
+        const frame = this.renderer.xr.getFrame();
+        if (!frame || !this.isARMode()) return;
+        
+        const referenceSpace = this.renderer.xr.getReferenceSpace();
+        const isGrabbing = this.isDragging || this.twoHandedGrab !== null || this.xrFocus !== null;
+        
+        // 置き場所を選んでいる間はレティクルの上に太陽系を仮置きする
+        this.lastHitResult = null;
+        if (this.isPlacingAR && this.hitTestSource && !isGrabbing) {
+            const [hitResult] = frame.getHitTestResults(this.hitTestSource);
+            const pose = hitResult?.getPose(referenceSpace);
+            if (pose) {
+                this.lastHitResult = hitResult;
+                this.reticle.matrix.fromArray(pose.transform.matrix);
+                this.scaleGroup.position.setFromMatrixPosition(this.reticle.matrix).add(this.getPlacementLift());
+            }
+        }
+        this.reticle.visible = this.lastHitResult !== null;
+        
+        // アンカーに合わせて動かす（掴んで動かしている間はアンカーからのずれを更新）
+        if (this.placementAnchor && frame.trackedAnchors?.has(this.placementAnchor)) {
+            const pose = frame.getPose(this.placementAnchor.anchorSpace, referenceSpace);
+            if (pose) {
+                const { x, y, z } = pose.transform.position;
+                const anchorPosition = new THREE.Vector3(x, y, z);
+                
+                if (isGrabbing) {
+                    this.anchorOffset.copy(this.scaleGroup.position).sub(anchorPosition);
+                } else {
+                    this.scaleGroup.position.copy(anchorPosition).add(this.anchorOffset);
+                }
+            }
+        }
+    }
+    
+    // セッション終了時（ヒットテストとアンカーはセッションと一緒に破棄される）
+    resetARPlacement() {
+        this.hitTestSource = null;
+        this.placementAnchor = null;
+        this.lastHitResult = null;
+        this.isPlacingAR = false;
+        this.reticle.visible = false;
+        
+        const placeButton = this.getElement('placeButton');
+        if (placeButton) placeButton.hidden = true;
+    }
+    
+    positionSolarSystemForVR() {
+        // XRモード時：視点から少し手前、少し上に配置
+        this.scaleGroup.position.set(0, this.referenceHeight, -3); // 床の高さ、3m先
+        console.log('太陽系位置をXRモード用に調整');
+    }
+    
+    resetSolarSystemPosition() {
+        // 通常モード時：原点に配置
+        this.scaleGroup.position.set(0, 0, 0);
+        this.scaleGroup.rotation.set(0, 0, 0);
+        console.log('太陽系位置をデフォルトに復帰');
+    }
+    
+    // XRのメニュー（HTMLのUIの代わりに、時間・表示の切り替え・フォーカス・セッション終了を操作する）
+    setupXRMenu() {
+        const clock = this.simulationClock;
+        this.xrMenu = new XRMenu({
+            reverse: () => clock.reverse(),
+            togglePlay: () => clock.togglePause(),
+            slower: () => clock.setSpeed(clock.speedIndex - 1),
+            faster: () => clock.setSpeed(clock.speedIndex + 1),
+            toggleOrbits: () => this.setOrbitsVisible(!this.showOrbits),
+            toggleLabels: () => this.setLabelsVisible(!this.getXRMenuState().labels),
+            toggleTrails: () => this.setTrailsVisible(!this.showTrails),
+            reset: () => this.resetXRView(),
+            focus: bodyId => (bodyId ? this.focusBodyInXR(bodyId) : this.resetXRView()),
+            toggleDetached: () => this.setDetached(!this.isDetached),
+            exit: () => this.renderer.xr.getSession()?.end()
+        });
+        this.xrMenu.setHand(this.menuHand);
+        this.scene.add(this.xrMenu.mesh);
+    }
+    
+    // XRのメニューを付ける手（浮かぶパネルもこちら側に出す）
+    setMenuHand(hand) {
+        if (!MENU_HANDS.includes(hand)) {
+            throw new Error(t('error.invalidMenuHand', { hand }));
+        }
+        this.menuHand = hand;
+        this.xrMenu?.setHand(hand);
+    }
+    
+    getXRMenuState() {
+        const clock = this.simulationClock;
+        const speed = clock.customRate === null ? t(`speed.${clock.speed.id}`) : t('speed.custom', { rate: this.formatNumber(clock.customRate) });
+        const states = [clock.direction < 0 ? t('menu.reversed') : '', clock.playing ? '' : t('menu.paused')];
+        
+        const bodies = [];
+        const addBody = (data) => {
+            if (!this.isBodyShown(data.id)) return;
+            bodies.push({ id: data.id, name: getBodyName(data) });
+            data.children.forEach(addBody);
+        };
+        this.catalog?.root.children.forEach(addBody);
+        
+        return {
+            date: this.dateDisplayText,
+            speed: t('menu.speed', { speed }) + states.join(''),
+            language: getLanguage(), // ボタンの文字を描き直すため
+            playing: clock.playing,
+            direction: clock.direction,
+            orbits: this.showOrbits,
+            labels: LABEL_CATEGORIES.some(category => this.labels.isCategoryVisible(category.id)),
+            trails: this.showTrails,
+            focusId: this.xrFocus?.bodyId ?? null,
+            bodies: bodies,
+            sharing: this.getSharingMode()
+        };
+    }
+    
+    // menuHand の側のコントローラーがあれば手首に、なければ（ハンドトラッキングなど）視点の前に浮かべる
+    updateXRMenu() {
+        if (!this.renderer.xr.isPresenting) {
+            this.xrMenu.hide();
+            return;
+        }
+        
+        const index = this.inputHandedness.indexOf(this.menuHand);
+        if (index >= 0 && !this.handTracked[index]) {
+            this.xrMenu.attachToWrist(index === 0 ? this.controllerGrip1 : this.controllerGrip2);
+        } else {
+            this.xrMenu.detachFromWrist(this.scene);
+        }
+        
+        this.xrMenu.updatePlacement(this.renderer.xr.getCamera());
+        this.xrMenu.update(this.getXRMenuState());
+    }
+    
+    // XRでは天体が目の前に来るよう太陽系を動かして拡大する（公転しても目の前に保ち、掴むと解除）
+    focusBodyInXR(bodyId) {
+        const mesh = this.getBodyMesh(bodyId);
+        if (!mesh || !this.isBodyShown(bodyId)) return;
+        
+        this.selectBody(bodyId);
+        
+        const camera = this.renderer.xr.getCamera();
+        const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+        const localRadius = this.getBodyWorldRadius(bodyId) / this.currentScale;
+        
+        this.xrFocus = {
+            bodyId: bodyId,
+            point: camera.getWorldPosition(new THREE.Vector3()).addScaledVector(forward, this.xrFocusDistance),
+            startPosition: mesh.getWorldPosition(new THREE.Vector3()),
+            startScale: this.currentScale,
+            scale: THREE.MathUtils.clamp(this.xrFocusRadius / localRadius, this.minScale, this.maxScale),
+            elapsed: 0,
+            duration: 1
+        };
+    }
+    
+    updateXRFocus(deltaTime) {
+        const focus = this.xrFocus;
+        if (!focus) return;
+        
+        const mesh = this.getBodyMesh(focus.bodyId);
+        if (!mesh || !this.isBodyShown(focus.bodyId)) {
+            this.xrFocus = null;
+            return;
+        }
+        
+        // 最初は大きさと位置をなめらかに変え、その後は天体の位置だけ合わせる（スティックでの拡大縮小は効く）
+        const goal = focus.point.clone();
+        if (focus.elapsed < focus.duration) {
+            focus.elapsed += deltaTime;
+            const k = THREE.MathUtils.smootherstep(Math.min(focus.elapsed / focus.duration, 1), 0, 1);
+            this.setSystemScale(Math.exp(THREE.MathUtils.lerp(Math.log(focus.startScale), Math.log(focus.scale), k)));
+            goal.lerpVectors(focus.startPosition, focus.point, k);
+        }
+        
+        this.scaleGroup.updateMatrixWorld(true);
+        this.scaleGroup.position.add(goal.sub(mesh.getWorldPosition(new THREE.Vector3())));
+    }
+    
+    // XRで太陽系をセッション開始時の大きさ・位置に戻す
+    resetXRView() {
+        this.xrFocus = null;
+        this.scaleGroup.rotation.set(0, 0, 0);
+        
+        if (!this.isARMode()) {
+            this.setSystemScale(this.vrScale);
+            this.positionSolarSystemForVR();
+            return;
+        }
+        
+        this.setSystemScale(this.arScale);
+        if (this.placementAnchor) {
+            this.anchorOffset.copy(this.getPlacementLift()); // 置いた平面の上に戻す
+        } else {
+            this.positionSolarSystemForAR();
+        }
+    }
+    
+    setSystemScale(scale) {
+        this.currentScale = scale;
+        this.scaleGroup.scale.setScalar(scale);
+        this.adjustLightingForScale(scale);
+    }
+    
+    adjustLightingForScale(scale) {
+        if (this.sunLight) {
+            // スケールが小さくなるほど光の強度を下げて、距離を調整
+            const baseIntensity = 1000;
+            const baseDistance = 1000;
+            
+            // スケールに応じて強度と距離を調整
+            this.sunLight.intensity = baseIntensity * (scale * scale); // 距離の二乗に比例
+            this.sunLight.distance = baseDistance * scale;
+            
+            console.log(`ライト調整: scale=${scale}, intensity=${this.sunLight.intensity}, distance=${this.sunLight.distance}`);
+        }
+    }
+    
+    setupControllers() {
+        const controllerModelFactory = new XRControllerModelFactory();
+        
+        // コントローラー1
+        this.controller1 = this.renderer.xr.getController(0);
+        this.controller1.addEventListener('selectstart', this.onSelectStart.bind(this));
+        this.controller1.addEventListener('selectend', this.onSelectEnd.bind(this));
+        this.controller1.addEventListener('squeezestart', this.onSqueezeStart.bind(this));
+        this.controller1.addEventListener('squeezeend', this.onSqueezeEnd.bind(this));
+        this.scene.add(this.controller1);
+        
+        this.controllerGrip1 = this.renderer.xr.getControllerGrip(0);
+        this.controllerGrip1.add(controllerModelFactory.createControllerModel(this.controllerGrip1));
+        this.scene.add(this.controllerGrip1);
         
         // コントローラー2
         this.controller2 = this.renderer.xr.getController(1);
         this.controller2.addEventListener('selectstart', this.onSelectStart.bind(this));
         this.controller2.addEventListener('selectend', this.onSelectEnd.bind(this));
+        this.controller2.addEventListener('squeezestart', this.onSqueezeStart.bind(this));
+        this.controller2.addEventListener('squeezeend', this.onSqueezeEnd.bind(this));
         this.scene.add(this.controller2);
         
         this.controllerGrip2 = this.renderer.xr.getControllerGrip(1);
         this.controllerGrip2.add(controllerModelFactory.createControllerModel(this.controllerGrip2));
         this.scene.add(this.controllerGrip2);
         
-        // コントローラー専用ライト
-        this.createControllerLights();
+        // ハンドトラッキング
+        this.setupHands();
+        [this.controller1, this.controller2].forEach((controller, index) => {
+            controller.addEventListener('connected', (event) => this.onInputConnected(index, event.data));
+            controller.addEventListener('disconnected', () => this.onInputDisconnected(index));
+        });
+        
+        // コントローラー専用ライト
+        this.createControllerLights();
+        
+        // 接触ポイント表示
+        this.createContactPoints();
+        
+        // 天体を指し示すためのレイ
+        this.controller1.add(this.createPointerRay());
+        this.controller2.add(this.createPointerRay());
+    }
+    
+    setupHands() {
+        const handModelFactory = new XRHandModelFactory();
+        
+        [0, 1].forEach((index) => {
+            const hand = this.renderer.xr.getHand(index);
+            hand.add(handModelFactory.createHandModel(hand, 'mesh'));
+            hand.addEventListener('pinchstart', () => this.onPinchStart(index));
+            hand.addEventListener('pinchend', () => this.onPinchEnd(index));
+            this.scene.add(hand);
+            this.hands.push(hand);
+        });
+    }
+    
+    onInputConnected(index, inputSource) {
+        this.handTracked[index] = Boolean(inputSource.hand);
+        this.inputHandedness[index] = inputSource.handedness;
+        console.log(`入力${index + 1}接続: ${this.handTracked[index] ? 'ハンドトラッキング' : 'コントローラー'}`);
+    }
+    
+    onInputDisconnected(index) {
+        const fingertip = this.getFingertip(index);
+        if (fingertip) this.endGrab(fingertip);
+        
+        this.handTracked[index] = false;
+        this.inputHandedness[index] = null;
+        this.pokingButtons[index] = null;
+    }
+    
+    // 人差し指の先の関節（関節はハンドトラッキングの最初のフレームで作られる）
+    getFingertip(index) {
+        return this.hands[index]?.joints['index-finger-tip'] || null;
+    }
+    
+    getController(index) {
+        return index === 0 ? this.controller1 : this.controller2;
+    }
+    
+    // ピンチ：指した先のボタン・天体を選択、なければ太陽系を掴む（両手で拡大縮小・回転）
+    onPinchStart(index) {
+        const fingertip = this.getFingertip(index);
+        if (!this.renderer.xr.isPresenting || !this.sun || !fingertip) return;
+        if (this.placeAtReticle()) return;
+        
+        // 片手で掴んでいる間のもう一方のピンチは両手操作
+        if (this.grabbingInputs.length === 0 && !this.isFingertipTouchingSun(index)) {
+            const controller = this.getController(index);
+            if (this.pressPanelButtonWithRay(controller)) return;
+            
+            const bodyId = this.pickBodyWithController(controller);
+            if (bodyId) {
+                this.selectBody(bodyId);
+                return;
+            }
+        }
+        
+        if (!this.startGrab(fingertip)) {
+            this.clearSelection();
+        }
+    }
+    
+    onPinchEnd(index) {
+        const fingertip = this.getFingertip(index);
+        if (fingertip) this.endGrab(fingertip);
+    }
+    
+    // 指先が太陽に触れているか
+    isFingertipTouchingSun(index) {
+        const fingertip = this.getFingertip(index);
+        if (!fingertip || !this.sun) return false;
+        
+        const sunPosition = this.sun.getWorldPosition(new THREE.Vector3());
+        const sunRadius = this.sun.getWorldScale(new THREE.Vector3()).x;
+        return fingertip.getWorldPosition(new THREE.Vector3()).distanceTo(sunPosition) <= sunRadius + 0.01;
+    }
+    
+    // 表示中のXRパネル（天体の情報とメニュー）
+    getVisibleXRPanels() {
+        return [this.xrInfoPanel, this.xrMenu.panel, this.xrCaption.panel].filter(panel => panel.mesh.visible);
+    }
+    
+    // レイで指したXRパネルのボタンを押す（パネルを指していれば true）
+    pressPanelButtonWithRay(controller) {
+        const meshes = this.getVisibleXRPanels().map(panel => panel.mesh);
+        if (meshes.length === 0) return false;
+        
+        const intersections = this.getIntersections(controller, this.pointerRayLength, meshes);
+        if (intersections.length === 0) return false;
+        
+        const { object, point } = intersections[0];
+        const panel = object.userData.panel;
+        const button = panel.buttonAt(object.worldToLocal(point.clone()));
+        button?.onPress();
+        return true;
+    }
+    
+    // 人差し指の先でXRパネルのボタンを押す（触れてから離れるまでに一度だけ）
+    updatePoke() {
+        if (!this.renderer.xr.isPresenting) return;
+        
+        this.hands.forEach((hand, index) => {
+            const fingertip = this.getFingertip(index);
+            let button = null;
+            
+            if (this.handTracked[index] && fingertip?.visible) {
+                // 押している間は判定を厚くして、指先のぶれで押し直さない
+                const depth = this.pokingButtons[index] ? 0.03 : 0.015;
+                const point = fingertip.getWorldPosition(new THREE.Vector3());
+                button = this.getVisibleXRPanels()
+                    .map(panel => panel.buttonAtWorldPoint(point, depth))
+                    .find(Boolean) || null;
+            }
+            
+            if (button && button !== this.pokingButtons[index]) {
+                button.onPress();
+            }
+            this.pokingButtons[index] = button;
+        });
+    }
+    
+    createPointerRay() {
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, 0, -1)
+        ]);
+        const material = new THREE.LineBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.3
+        });
+        
+        const ray = new THREE.Line(geometry, material);
+        ray.scale.z = this.pointerRayLength;
+        return ray;
+    }
+    
+    createControllerLights() {
+        // コントローラーライトを削除
+        // 代わりにコントローラーモデル自体を発光マテリアルで見やすくする
+        
+        // コントローラー1のモデルを発光させる
+        this.controllerGrip1.traverse((child) => {
+            if (child.isMesh && child.material) {
+                child.material = child.material.clone();
+                child.material.emissive = new THREE.Color(0x333333);
+                child.material.emissiveIntensity = 0.2;
+            }
+        });
+        
+        // コントローラー2のモデルを発光させる
+        this.controllerGrip2.traverse((child) => {
+            if (child.isMesh && child.material) {
+                child.material = child.material.clone();
+                child.material.emissive = new THREE.Color(0x333333);
+                child.material.emissiveIntensity = 0.2;
+            }
+        });
+    }
+    
+    updateControllerAppearance() {
+        // XRセッション開始後にコントローラーモデルの外観を更新
+        setTimeout(() => {
+            this.controllerGrip1.traverse((child) => {
+                if (child.isMesh && child.material) {
+                    child.material = child.material.clone();
+                    child.material.emissive = new THREE.Color(0x333333);
+                    child.material.emissiveIntensity = 0.3;
+                }
+            });
+            
+            this.controllerGrip2.traverse((child) => {
+                if (child.isMesh && child.material) {
+                    child.material = child.material.clone();
+                    child.material.emissive = new THREE.Color(0x333333);
+                    child.material.emissiveIntensity = 0.3;
+                }
+            });
+        }, 1000); // 1秒後に実行
+    }
+    
+    createContactPoints() {
+        // コントローラー1用接触ポイント球体
+        const contactGeometry1 = new THREE.SphereGeometry(0.01, 8, 8);
+        const contactMaterial1 = new THREE.MeshBasicMaterial({ 
+            color: 0x888888,
+            transparent: true,
+            opacity: 0.7
+        });
+        const contactPoint1 = new THREE.Mesh(contactGeometry1, contactMaterial1);
+        contactPoint1.position.set(0, 0, -0.05); // コントローラーの先端
+        this.controller1.add(contactPoint1);
+        this.contactPoints.push(contactPoint1);
+        
+        // コントローラー2用接触ポイント球体
+        const contactGeometry2 = new THREE.SphereGeometry(0.01, 8, 8);
+        const contactMaterial2 = new THREE.MeshBasicMaterial({ 
+            color: 0x888888,
+            transparent: true,
+            opacity: 0.7
+        });
+        const contactPoint2 = new THREE.Mesh(contactGeometry2, contactMaterial2);
+        contactPoint2.position.set(0, 0, -0.05);
+        this.controller2.add(contactPoint2);
+        this.contactPoints.push(contactPoint2);
+    }
+    
+    
+    onSelectStart(event) {
+        const controller = event.target;
+        
+        // ハンドトラッキングの選択はピンチで扱う
+        if (event.data?.hand) return;
+        
+        // XRモード時に太陽のドラッグを許可（テスト用にAR/VR両方）
+        if (this.renderer.xr.isPresenting && this.sun) {
+            // ARで置き場所を選んでいる間はタップ・トリガーで配置
+            if (this.placeAtReticle()) return;
+            if (this.pressPanelButtonWithRay(controller)) return;
+            
+            const intersections = this.getIntersections(controller);
+            
+            if (intersections.length > 0) {
+                const intersected = intersections[0].object;
+                
+                // 太陽を選択した場合
+                if (intersected === this.sun) {
+                    this.startDragging(controller);
+                    console.log('太陽ドラッグ開始');
+                    return;
+                }
+            }
+            
+            // 指し示した天体を選択（何もない所を指した場合は選択解除）
+            const bodyId = this.pickBodyWithController(controller);
+            if (bodyId) {
+                this.selectBody(bodyId);
+            } else {
+                this.clearSelection();
+            }
+        }
+    }
+    
+    onSelectEnd(event) {
+        // グリップで掴んでいる間はトリガーを離しても移動を続ける
+        if (this.grabbingInputs.includes(event.target)) return;
+        
+        if (this.isDragging && event.target === this.dragController) {
+            this.stopDragging();
+        }
+    }
+    
+    startDragging(controller) {
+        this.xrFocus = null; // 掴んだらフォーカスをやめる
+        this.isDragging = true;
+        this.dragController = controller;
+        
+        // ドラッグ開始時のオフセットを計算
+        const controllerPosition = new THREE.Vector3();
+        controller.getWorldPosition(controllerPosition);
+        
+        const sunPosition = new THREE.Vector3();
+        this.scaleGroup.getWorldPosition(sunPosition);
+        
+        this.dragOffset.copy(sunPosition).sub(controllerPosition);
+    }
+    
+    stopDragging() {
+        this.isDragging = false;
+        this.dragController = null;
+        console.log('ドラッグ終了');
+    }
+    
+    // グリップ：片手で太陽系を移動、両手で拡大縮小と鉛直軸まわりの回転
+    onSqueezeStart(event) {
+        if (!this.renderer.xr.isPresenting || !this.sun) return;
+        this.startGrab(event.target);
+    }
+    
+    onSqueezeEnd(event) {
+        this.endGrab(event.target);
+    }
+    
+    // input: コントローラーまたは指先の関節（掴めなければ false）
+    startGrab(input) {
+        if (this.grabbingInputs.includes(input)) return true;
+        
+        if (this.grabbingInputs.length === 0 && !this.isInputInSystem(input)) return false;
+        this.grabbingInputs.push(input);
+        
+        if (this.grabbingInputs.length === 2) {
+            this.isDragging = false;
+            this.dragController = null;
+            this.startTwoHandedGrab();
+        } else {
+            this.startDragging(input);
+            console.log('太陽系を掴んで移動');
+        }
+        return true;
+    }
+    
+    endGrab(input) {
+        const index = this.grabbingInputs.indexOf(input);
+        if (index === -1) return;
+        
+        this.grabbingInputs.splice(index, 1);
+        this.twoHandedGrab = null;
+        
+        if (this.grabbingInputs.length === 1) {
+            // 残った手でそのまま移動を続ける
+            this.startDragging(this.grabbingInputs[0]);
+        } else if (this.dragController === input) {
+            this.stopDragging();
+        }
+    }
+    
+    // 最も外側の軌道（遠日点）の表示上の半径（遠くまで飛んでいく彗星は含めない）
+    getSystemRadius() {
+        let radius = this.sun ? this.sun.userData.display.radius : 0;
+        this.catalog?.root.children.forEach((data) => {
+            if (data.type === 'comet') return;
+            const display = this.bodies.get(data.id).userData.display;
+            radius = Math.max(radius, display.distance * (1 + data.elements.e));
+        });
+        return radius;
+    }
+    
+    // コントローラー・指先が太陽系の範囲内（少しの余裕を含む）にあるか
+    isInputInSystem(input) {
+        const inputPosition = input.getWorldPosition(new THREE.Vector3());
+        const center = this.scaleGroup.getWorldPosition(new THREE.Vector3());
+        return inputPosition.distanceTo(center) <= this.getSystemRadius() * this.currentScale + 0.3;
+    }
+    
+    // 掴んでいる両手の中点・距離・水平面での向き
+    getTwoHandedPose() {
+        const [first, second] = this.grabbingInputs.map(input => input.getWorldPosition(new THREE.Vector3()));
+        return {
+            midpoint: first.clone().add(second).multiplyScalar(0.5),
+            distance: Math.max(first.distanceTo(second), 0.01),
+            angle: Math.atan2(-(second.z - first.z), second.x - first.x)
+        };
+    }
+    
+    startTwoHandedGrab() {
+        const pose = this.getTwoHandedPose();
+        this.twoHandedGrab = {
+            pose: pose,
+            scale: this.currentScale,
+            rotation: this.scaleGroup.rotation.y,
+            offset: this.scaleGroup.position.clone().sub(pose.midpoint)
+        };
+        console.log('両手で拡大縮小・回転開始');
+    }
+    
+    handleTwoHandedGrab() {
+        const grab = this.twoHandedGrab;
+        if (!grab) return;
+        
+        const pose = this.getTwoHandedPose();
+        
+        // 手の間隔の比でスケール、水平面での向きの変化で回転
+        const scale = THREE.MathUtils.clamp(
+            grab.scale * pose.distance / grab.pose.distance,
+            this.minScale,
+            this.maxScale
+        );
+        const deltaAngle = pose.angle - grab.pose.angle;
+        
+        this.setSystemScale(scale);
+        this.scaleGroup.rotation.y = grab.rotation + deltaAngle;
+        
+        // 開始時に両手の中点にあった点が、現在の中点に来るように移動
+        const offset = grab.offset.clone()
+            .multiplyScalar(scale / grab.scale)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), deltaAngle);
+        this.scaleGroup.position.copy(pose.midpoint).add(offset);
+    }
+    
+    getIntersections(controller, far = 0.3, objects = null) {
+        const tempMatrix = new THREE.Matrix4();
+        tempMatrix.identity().extractRotation(controller.matrixWorld);
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+        
+        // レイキャスターの範囲を設定（既定は手元で触れる距離）
+        raycaster.far = far;
+        
+        // 対象の指定がなければ太陽系全体をチェック
+        const allObjects = objects || [];
+        if (!objects) {
+            this.scaleGroup.traverse((child) => {
+                if (child.isMesh) {
+                    allObjects.push(child);
+                }
+            });
+        }
+        
+        const intersections = raycaster.intersectObjects(allObjects, false);
+        
+        return intersections;
+    }
+    
+    isARMode() {
+        return this.renderer.xr.isPresenting && this.xrMode === 'immersive-ar';
+    }
+    
+    handleControllerInput(deltaTime) {
+        if (this.renderer.xr.isPresenting) {
+            const session = this.renderer.xr.getSession();
+            if (session) {
+                const inputSources = Array.from(session.inputSources);
+                
+                // 両手で掴んでいる間はスティックでの移動・スケーリングを止める
+                if (this.twoHandedGrab) return;
+                
+                inputSources.forEach((inputSource) => {
+                    const gamepad = inputSource.gamepad;
+                    if (!gamepad) return;
+                    
+                    // ARでは A/X ボタン（xr-standard の buttons[4]）で置き直す
+                    if (this.isARMode()) {
+                        const pressed = Boolean(gamepad.buttons[4]?.pressed);
+                        if (pressed && !this.placeButtonStates.get(inputSource)) {
+                            this.startARPlacement();
+                        }
+                        this.placeButtonStates.set(inputSource, pressed);
+                    }
+                    
+                    if (gamepad.axes.length < 2) return;
+                    // xr-standard ではサムスティックが axes[2], axes[3]（2軸のみの機種は axes[0], axes[1]）
+                    const [xAxis, yAxis] = gamepad.axes.length >= 4 ? gamepad.axes.slice(2, 4) : gamepad.axes;
+                    
+                    if (inputSource.handedness === 'left' && !this.isARMode()) {
+                        // VRでは左スティックで視線の方向へ飛ぶ（スティックを押し込むと速く）
+                        this.handleFlight(xAxis, yAxis, Boolean(gamepad.buttons[3]?.pressed), deltaTime);
+                    } else if (inputSource.handedness === 'right') {
+                        this.handleRightStick(inputSource, xAxis, yAxis);
+                    }
+                });
+            }
+        }
+    }
+    
+    handleFlight(xAxis, yAxis, boost, deltaTime) {
+        if (this.isDragging) return;
+        
+        const speed = this.flightSpeed * (boost ? this.flightBoost : 1);
+        if (this.locomotion.fly(this.renderer.xr.getCamera(), xAxis, yAxis, speed, deltaTime)) {
+            this.xrFocus = null; // 天体に付いて動くのをやめる
+        }
+    }
+    
+    // 右スティック: ARでは上下でスケール、VRでは左右でスナップターン、B ボタンを押しながら上下でスケール
+    // A ボタン（buttons[4]）で選択中の天体のそばへ移動する
+    handleRightStick(inputSource, xAxis, yAxis) {
+        const gamepad = inputSource.gamepad;
+        const isScaling = this.isARMode() || Boolean(gamepad.buttons[5]?.pressed);
+        
+        if (isScaling) {
+            if (Math.abs(yAxis) > 0.1) {
+                const scaleChange = yAxis * 0.005;
+                this.updateScale(-scaleChange); // 上で拡大、下で縮小
+            }
+            return;
+        }
+        
+        if (!this.isDragging && this.locomotion.snapTurn(this.renderer.xr.getCamera(), xAxis)) {
+            this.xrFocus = null;
+        }
+        
+        const pressed = Boolean(gamepad.buttons[4]?.pressed);
+        if (pressed && !this.teleportButtonStates.get(inputSource) && this.selectedBodyId) {
+            this.teleportToBody(this.selectedBodyId);
+        }
+        this.teleportButtonStates.set(inputSource, pressed);
+    }
+    
+    // 天体のすぐそばへ移動する（視線の先に天体が浮かぶ位置。その後は天体に付いて動く）
+    teleportToBody(bodyId) {
+        const mesh = this.getBodyMesh(bodyId);
+        if (!mesh || !this.renderer.xr.isPresenting || !this.isBodyShown(bodyId)) return;
+        
+        const camera = this.renderer.xr.getCamera();
+        const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+        const distance = Math.max(this.getBodyWorldRadius(bodyId) * this.teleportDistance, this.xrFocusDistance);
+        const point = camera.getWorldPosition(new THREE.Vector3()).addScaledVector(forward, distance);
+        
+        // 大きさは変えずに、フォーカスと同じ仕組みで天体をその位置に保つ
+        this.xrFocus = {
+            bodyId: bodyId,
+            point: point,
+            startPosition: point.clone(),
+            startScale: this.currentScale,
+            scale: this.currentScale,
+            elapsed: 0,
+            duration: 0
+        };
+        this.locomotion.flash();
+        console.log(`移動: ${bodyId}`);
+    }
+    
+    handleDragging() {
+        if (this.isDragging && this.dragController) {
+            const controllerPosition = new THREE.Vector3();
+            this.dragController.getWorldPosition(controllerPosition);
+            
+            // コントローラー位置 + オフセットを新しい太陽系位置とする
+            const newPosition = controllerPosition.clone().add(this.dragOffset);
+            this.scaleGroup.position.copy(newPosition);
+        }
+    }
+    
+    updateContactPoints() {
+        if (!this.renderer.xr.isPresenting) return;
+        
+        // 各コントローラー・指先の接触判定
+        [this.controller1, this.controller2].forEach((controller, index) => {
+            if (controller && this.contactPoints[index]) {
+                const contactPoint = this.contactPoints[index];
+                this.attachContactPoint(index);
+                
+                // 太陽との接触チェック
+                const sunContact = this.handTracked[index]
+                    ? this.isFingertipTouchingSun(index)
+                    : this.getIntersections(controller).some(intersection => 
+                        intersection.object === this.sun
+                    );
+                
+                if (sunContact) {
+                    // 太陽に接触している場合は赤色
+                    contactPoint.material.color.setHex(0xff4444);
+                    contactPoint.material.opacity = 1.0;
+                } else {
+                    // 接触していない場合はグレー
+                    contactPoint.material.color.setHex(0x888888);
+                    contactPoint.material.opacity = 0.7;
+                }
+            }
+        });
+    }
+    
+    // 接触ポイントをハンドトラッキング中は人差し指の先、それ以外はコントローラーの先端に付ける
+    attachContactPoint(index) {
+        const contactPoint = this.contactPoints[index];
+        const fingertip = this.handTracked[index] ? this.getFingertip(index) : null;
+        const parent = fingertip || this.getController(index);
+        if (contactPoint.parent === parent) return;
+        
+        parent.add(contactPoint);
+        contactPoint.position.set(0, 0, fingertip ? 0 : -0.05);
+    }
+    
+    updateScale(delta) {
+        this.currentScale = THREE.MathUtils.clamp(
+            this.currentScale + delta,
+            this.minScale,
+            this.maxScale
+        );
+        this.scaleGroup.scale.setScalar(this.currentScale);
+        this.adjustLightingForScale(this.currentScale);
+    }
+    
+    setupEventListeners() {
+        // ウィンドウだけでなく埋め込み先のレイアウトによる大きさの変化にも合わせる
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(this.container);
+        
+        if (!this.options.keyboard) return;
+        this.listen(window, 'keydown', (event) => {
+            // 日付入力などへの入力中は無視
+            if (event.target.closest?.('input, select, textarea')) return;
+            
+            // 数字キーでフォーカス（1〜9: 太陽に近い順の惑星、0: 太陽系全体）
+            const digit = event.code.match(/^(?:Digit|Numpad)(\d)$/);
+            if (digit) {
+                const index = Number(digit[1]);
+                const planets = this.catalog?.root.children.filter(data => data.type === 'planet') || [];
+                const planet = index > 0 ? planets[index - 1] : null;
+                if (planet) {
+                    this.focusBody(planet.id);
+                } else if (index === 0) {
+                    this.showOverview();
+                }
+                return;
+            }
+            
+            // キーボードでのスケール調整（テスト用）
+            switch(event.code) {
+                case 'Equal': // +キー
+                case 'NumpadAdd':
+                    this.updateScale(0.1);
+                    break;
+                case 'Minus': // -キー
+                case 'NumpadSubtract':
+                    this.updateScale(-0.1);
+                    break;
+            }
+        });
+    }
+    
+    setupSelection() {
+        // 選択中の天体を囲むワイヤーフレーム
+        const markerGeometry = new THREE.SphereGeometry(1, 24, 16);
+        const markerMaterial = new THREE.MeshBasicMaterial({
+            color: 0x66ccff,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.35
+        });
+        this.selectionMarker = new THREE.Mesh(markerGeometry, markerMaterial);
+        this.selectionMarker.raycast = () => {}; // レイキャストの対象外
+        this.selectionMarker.visible = false;
+        
+        // XR用の情報パネル
+        this.xrInfoPanel = new XRPanel(0.3, 0.2);
+        this.xrInfoPanel.addButton('close', '×', [0.84, 0.05, 0.12, 0.18], () => this.clearSelection());
+        this.xrInfoPanel.addButton('teleport', t('xr.teleport'), [0.6, 0.05, 0.2, 0.18], () => this.teleportToBody(this.selectedBodyId));
+        this.scene.add(this.xrInfoPanel.mesh);
+        
+        // マウスクリックで選択（ドラッグによる視点操作はクリックとみなさない）
+        const canvas = this.renderer.domElement;
+        const pointerDown = new THREE.Vector2();
+        
+        this.listen(canvas, 'pointerdown', (event) => {
+            pointerDown.set(event.clientX, event.clientY);
+        });
+        
+        // マウスで指している天体（軌道を強調表示する）
+        this.listen(canvas, 'pointermove', (event) => {
+            if (event.buttons !== 0 || this.renderer.xr.isPresenting) return;
+            this.hoveredBodyId = this.pickBodyAtScreen(event.clientX, event.clientY);
+            canvas.style.cursor = this.hoveredBodyId ? 'pointer' : '';
+        });
+        this.listen(canvas, 'pointerleave', () => {
+            this.hoveredBodyId = null;
+        });
+        
+        this.listen(canvas, 'pointerup', (event) => {
+            if (event.button !== 0 || this.renderer.xr.isPresenting) return;
+            if (pointerDown.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > 5) return;
+            
+            const bodyId = this.pickBodyAtScreen(event.clientX, event.clientY);
+            if (bodyId) {
+                this.selectBody(bodyId);
+            } else {
+                this.clearSelection();
+            }
+        });
+        
+        this.listen(this.getElement('infoCloseButton'), 'click', () => this.clearSelection());
+        this.listen(this.getElement('focusButton'), 'click', () => {
+            if (this.selectedBodyId) this.focusBody(this.selectedBodyId);
+        });
+    }
+    
+    // 選択・フォーカスの対象になるメッシュ（彗星は核ではなくコマ）
+    getBodyMesh(bodyId) {
+        if (this.sun && this.sun.userData.bodyId === bodyId) return this.sun;
+        const userData = this.bodies.get(bodyId)?.userData;
+        if (!userData) return null;
+        return userData.comet ? userData.comet.coma : userData.planet;
+    }
+    
+    getSelectableMeshes() {
+        const meshes = this.sun ? [this.sun] : [];
+        this.bodies.forEach((orbitGroup, id) => {
+            if (this.isBodyShown(id)) meshes.push(this.getBodyMesh(id));
+        });
+        return meshes;
+    }
+    
+    pickBodyAtScreen(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        const meshes = this.getSelectableMeshes();
+        const intersections = raycaster.intersectObjects(meshes, false);
+        if (intersections.length > 0) {
+            return intersections[0].object.userData.bodyId;
+        }
+        
+        // 当たらなければ、画面上で近く（12px以内）にある小さな天体を選ぶ
+        let nearestId = null;
+        let nearestDistance = 12;
+        const projected = new THREE.Vector3();
+        
+        meshes.forEach((mesh) => {
+            mesh.getWorldPosition(projected).project(this.camera);
+            if (projected.z > 1) return; // カメラの後ろ
+            
+            const distance = Math.hypot(
+                (projected.x - pointer.x) * rect.width / 2,
+                (projected.y - pointer.y) * rect.height / 2
+            );
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestId = mesh.userData.bodyId;
+            }
+        });
+        
+        return nearestId;
+    }
+    
+    pickBodyWithController(controller) {
+        const intersections = this.getIntersections(controller, this.pointerRayLength, this.getSelectableMeshes());
+        return intersections.length > 0 ? intersections[0].object.userData.bodyId : null;
+    }
+    
+    selectBody(bodyId) {
+        const mesh = this.getBodyMesh(bodyId);
+        if (!mesh || !this.isBodyShown(bodyId)) return;
+        
+        const isChanged = bodyId !== this.selectedBodyId;
+        this.selectedBodyId = bodyId;
+        this.labels.highlightedId = bodyId;
+        
+        // 選択マーカーを天体に付ける（天体と一緒に公転する）
+        const data = this.catalog.bodies.get(bodyId);
+        this.selectionMarker.scale.setScalar(1.4); // 天体の半径に対する倍率
+        this.selectionMarker.visible = true;
+        mesh.add(this.selectionMarker);
+        
+        this.updateInfoPanel();
+        console.log(`天体選択: ${data.name}`);
+        if (isChanged) this.dispatchEvent({ type: 'select', bodyId: bodyId });
+    }
+    
+    clearSelection() {
+        const isChanged = this.selectedBodyId !== null;
+        this.selectedBodyId = null;
+        if (this.labels) this.labels.highlightedId = null;
+        this.selectionMarker?.removeFromParent();
+        
+        const infoPanel = this.getElement('infoPanel');
+        if (infoPanel) infoPanel.hidden = true;
+        if (this.xrInfoPanel) this.xrInfoPanel.mesh.visible = false;
+        if (isChanged) this.dispatchEvent({ type: 'select', bodyId: null });
+    }
+    
+    formatNumber(value, digits = 0) {
+        return value.toLocaleString(getLocale(), { maximumFractionDigits: digits });
+    }
+    
+    formatPeriod(days) {
+        const absDays = Math.abs(days);
+        if (absDays < 2) return t('unit.hours', { value: this.formatNumber(absDays * 24, 1) });
+        if (absDays > 1000) return t('unit.years', { value: this.formatNumber(absDays / 365.25, 2) });
+        return t('unit.days', { value: this.formatNumber(absDays, 2) });
+    }
+    
+    // 情報パネルに表示する [項目, 値] の一覧
+    getBodyInfoRows(bodyId) {
+        const data = this.catalog.bodies.get(bodyId);
+        const rows = [];
+        
+        if (data.radiusKm) {
+            rows.push([t('info.radius'), `${this.formatNumber(data.radiusKm)} km`]);
+        }
+        
+        if (data.type === 'comet') {
+            rows.push([t('info.perihelion'), `${this.formatNumber(data.elements.q, 3)} AU`]);
+        } else if (data.elements) {
+            // 太陽を直接回る天体は AU、衛星は km
+            const isMoon = Boolean(this.catalog.bodies.get(data.parent).parent);
+            rows.push([t('info.semiMajorAxis'), isMoon
+                ? `${this.formatNumber(data.elements.a)} km`
+                : `${this.formatNumber(data.elements.a, 3)} AU`]);
+        }
+        if (data.orbitalPeriod) {
+            rows.push([t('info.orbitalPeriod'), this.formatPeriod(data.orbitalPeriod)]);
+        }
+        if (data.rotationPeriod) {
+            const retrograde = data.rotationPeriod < 0 ? t('info.retrograde') : '';
+            rows.push([t('info.rotationPeriod'), `${this.formatPeriod(data.rotationPeriod)}${retrograde}`]);
+        }
+        if (data.pole && data.rotationPeriod && data.parent === this.catalog.root.id) {
+            // 自転の向き（逆行なら南極側）と公転の北極のなす角
+            // （衛星の自転軸は歳差が速く、固定の pole では誤差が大きいので惑星のみ）
+            const spinAxis = poleDirection(data.pole).multiplyScalar(Math.sign(data.rotationPeriod));
+            const obliquity = THREE.MathUtils.radToDeg(spinAxis.angleTo(orbitNormal(data.elements, this.simulationClock.time)));
+            rows.push([t('info.obliquity'), `${this.formatNumber(obliquity, 1)}°`]);
+        }
+        if (data.elements) {
+            rows.push([t('info.eccentricity'), this.formatNumber(data.elements.e, 4)]);
+            
+            const position = bodyHeliocentricPosition(data, this.catalog.bodies, this.simulationClock.time);
+            rows.push([t('info.sunDistance'), `${this.formatNumber(position.length(), 3)} AU`]);
+        }
+        
+        return rows;
+    }
+    
+    updateInfoPanel() {
+        if (!this.selectedBodyId) return;
+        
+        const data = this.catalog.bodies.get(this.selectedBodyId);
+        const rows = this.getBodyInfoRows(this.selectedBodyId);
+        
+        if (this.renderer.xr.isPresenting) {
+            this.xrInfoPanel.drawInfo(getBodyName(data), rows);
+            return;
+        }
+        
+        const infoPanel = this.getElement('infoPanel');
+        if (!infoPanel) return;
+        
+        this.getElement('infoTitle').textContent = getBodyName(data);
+        const table = this.getElement('infoTable');
+        table.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('th');
+            const valueCell = document.createElement('td');
+            labelCell.textContent = label;
+            valueCell.textContent = value;
+            row.append(labelCell, valueCell);
+            return row;
+        }));
+        infoPanel.hidden = false;
+    }
+    
+    // XRの情報パネルを選択中の天体の横に置き、視点の方へ向ける
+    updateXRInfoPanel() {
+        const panel = this.xrInfoPanel.mesh;
+        panel.visible = this.renderer.xr.isPresenting && this.selectedBodyId !== null;
+        if (!panel.visible) return;
+        
+        const mesh = this.getBodyMesh(this.selectedBodyId);
+        const camera = this.renderer.xr.getCamera();
+        
+        const bodyPosition = mesh.getWorldPosition(new THREE.Vector3());
+        const worldRadius = this.selectionMarker.getWorldScale(new THREE.Vector3()).x;
+        const cameraQuaternion = camera.getWorldQuaternion(new THREE.Quaternion());
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(cameraQuaternion);
+        
+        panel.position.copy(bodyPosition)
+            .addScaledVector(right, worldRadius + this.xrInfoPanel.width / 2 + 0.02);
+        panel.quaternion.copy(cameraQuaternion);
+    }
+    
+    updateSelection(deltaTime) {
+        if (!this.selectedBodyId) return;
+        
+        // 太陽からの距離などを定期的に更新
+        this.infoRefreshTimer += deltaTime;
+        if (this.infoRefreshTimer > 0.25) {
+            this.infoRefreshTimer = 0;
+            this.updateInfoPanel();
+        }
+        
+        this.updateXRInfoPanel();
+    }
+    
+    setupFocusControls() {
+        const focusSelect = this.getElement('focusSelect');
+        if (!focusSelect) return;
+        
+        this.listen(focusSelect, 'change', () => {
+            if (focusSelect.value) {
+                this.focusBody(focusSelect.value);
+            } else {
+                this.showOverview();
+            }
+        });
+    }
+    
+    // フォーカス先の一覧（衛星は親天体の下に字下げして並べる）
+    updateFocusList() {
+        const focusSelect = this.getElement('focusSelect');
+        if (!focusSelect || !this.catalog) return;
+        
+        const options = [new Option(t('focus.overview'), '')];
+        const addBody = (data, depth) => {
+            if (!this.isBodyShown(data.id)) return;
+            options.push(new Option(`${'　'.repeat(depth)}${getBodyName(data)}`, data.id));
+            data.children.forEach(child => addBody(child, depth + 1));
+        };
+        addBody(this.catalog.root, 0);
+        
+        focusSelect.replaceChildren(...options);
+        focusSelect.value = this.focusBodyId || '';
+    }
+    
+    // 天体の見かけの半径（ワールド座標）
+    getBodyWorldRadius(bodyId) {
+        return this.getBodyMesh(bodyId).getWorldScale(new THREE.Vector3()).x;
+    }
+    
+    // 天体へカメラを移動し、公転に合わせて追従する
+    // offset: 移動後の天体からカメラへのベクトル（省略時は今の向きのまま天体が収まる距離）
+    focusBody(bodyId, offset = null) {
+        if (!this.getBodyMesh(bodyId) || !this.isBodyShown(bodyId)) return;
+        
+        this.focusBodyId = bodyId;
+        this.selectBody(bodyId);
+        
+        // ズームの範囲とニアクリップを天体の大きさに合わせる
+        const worldRadius = this.getBodyWorldRadius(bodyId);
+        this.controls.minDistance = worldRadius * 1.5;
+        this.camera.near = Math.min(this.defaultCameraNear, worldRadius * 0.2);
+        this.camera.updateProjectionMatrix();
+        
+        // 現在の視線の向きを保ったまま、天体が画面に収まる距離へ
+        const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+        this.startCameraTransition(offset || direction.multiplyScalar(worldRadius * 6));
+        
+        const focusSelect = this.getElement('focusSelect');
+        if (focusSelect) focusSelect.value = bodyId;
+    }
+    
+    // 太陽系全体の表示に戻る（offset: 太陽からカメラへのベクトル、null: 既定の視点）
+    showOverview(offset = null) {
+        this.focusBodyId = null;
+        this.controls.minDistance = this.overviewMinDistance;
+        this.camera.near = this.defaultCameraNear;
+        this.camera.updateProjectionMatrix();
+        
+        this.startCameraTransition(offset || this.overviewCameraPosition.clone());
+        
+        const focusSelect = this.getElement('focusSelect');
+        if (focusSelect) focusSelect.value = '';
+    }
+    
+    // offset: 移動完了時の注視点からカメラへのベクトル
+    startCameraTransition(offset, duration = 1.5) {
+        this.cameraTransition = {
+            startPosition: this.camera.position.clone(),
+            startTarget: this.controls.target.clone(),
+            offset: offset,
+            elapsed: 0,
+            duration: duration
+        };
+        this.controls.enabled = false; // 移動中はマウス操作を止める
+    }
+    
+    getFocusTargetPosition(target) {
+        const mesh = this.focusBodyId ? this.getBodyMesh(this.focusBodyId) : null;
+        return mesh ? mesh.getWorldPosition(target) : target.set(0, 0, 0);
+    }
+    
+    updateCameraFocus(deltaTime) {
+        if (this.renderer.xr.isPresenting) return;
+        
+        const focusTarget = this.getFocusTargetPosition(new THREE.Vector3());
+        
+        if (this.cameraTransition) {
+            // 動いている天体へ向かって滑らかに移動
+            const transition = this.cameraTransition;
+            transition.elapsed += deltaTime;
+            const progress = Math.min(transition.elapsed / transition.duration, 1);
+            const k = THREE.MathUtils.smootherstep(progress, 0, 1);
+            
+            this.controls.target.lerpVectors(transition.startTarget, focusTarget, k);
+            this.camera.position.lerpVectors(
+                transition.startPosition,
+                focusTarget.clone().add(transition.offset),
+                k
+            );
+            
+            if (progress >= 1) {
+                this.cameraTransition = null;
+                this.controls.enabled = true;
+            }
+        } else if (this.focusBodyId) {
+            // 天体の移動量だけカメラと注視点を動かす（ユーザーの回転・ズームは保持）
+            const delta = focusTarget.sub(this.controls.target);
+            this.controls.target.add(delta);
+            this.camera.position.add(delta);
+        }
+    }
+    
+    setupScaleModeControls() {
+        const scaleModeSelect = this.getElement('scaleModeSelect');
+        if (scaleModeSelect) {
+            SCALE_MODES.forEach((mode) => {
+                scaleModeSelect.appendChild(createOption(`scaleMode.${mode.id}`, mode.id));
+            });
+            scaleModeSelect.value = this.scaleMode.id;
+            this.listen(scaleModeSelect, 'change', () => this.setScaleMode(scaleModeSelect.value));
+        }
+        
+        this.updateScaleModeInfo();
+    }
+    
+    updateScaleModeInfo() {
+        const scaleModeInfo = this.getElement('scaleModeInfo');
+        if (scaleModeInfo) {
+            scaleModeInfo.textContent = `${t(`scaleMode.${this.scaleMode.id}`)}: ${describeScaleMode(this.scaleMode)}`;
+        }
+        
+        const scaleModeSelect = this.getElement('scaleModeSelect');
+        if (scaleModeSelect) scaleModeSelect.value = this.scaleMode.id;
+    }
+    
+    // 表示スケールモードを切り替え、天体の大きさと軌道をなめらかに変化させる
+    setScaleMode(modeId, duration = 2) {
+        const mode = getScaleMode(modeId);
+        if (!mode || mode === this.scaleMode) return;
+        
+        this.scaleMode = mode;
+        this.updateScaleModeInfo();
+        if (!this.catalog || !this.sun) {
+            this.setLogDistanceWeight(getLogDistanceWeight(mode));
+            return;
+        }
+        
+        this.clearTrails(); // 記録済みの位置は前の表示スケールのもの
+        this.scaleTransition = {
+            from: this.getDisplayScales(),
+            to: computeDisplayScales(mode, this.catalog),
+            fromLogWeight: this.logDistanceWeight,
+            toLogWeight: getLogDistanceWeight(mode),
+            elapsed: 0,
+            duration: duration
+        };
+    }
+    
+    // 現在の各天体の表示上の { radius, distance }
+    getDisplayScales() {
+        const scales = new Map([[this.sun.userData.bodyId, this.sun.userData.display]]);
+        this.bodies.forEach((orbitGroup, id) => scales.set(id, orbitGroup.userData.display));
+        return scales;
+    }
+    
+    applyDisplayScales(scales) {
+        scales.forEach((display, id) => {
+            if (id === this.sun.userData.bodyId) {
+                this.sun.userData.display = display;
+                this.sun.scale.setScalar(display.radius);
+                return;
+            }
+            
+            const orbitGroup = this.bodies.get(id);
+            orbitGroup.userData.display = display;
+            orbitGroup.userData.planet.scale.setScalar(display.radius);
+        });
+        
+        this.orbits.forEach((orbitLine) => {
+            orbitLine.scale.setScalar(this.getOrbitDisplayScale(orbitLine.userData.data));
+        });
+        this.bodies.forEach(orbitGroup => this.updatePlanetPosition(orbitGroup));
+    }
+    
+    updateScaleTransition(deltaTime) {
+        const transition = this.scaleTransition;
+        if (!transition) return;
+        
+        transition.elapsed += deltaTime;
+        const progress = Math.min(transition.elapsed / transition.duration, 1);
+        const k = THREE.MathUtils.smootherstep(progress, 0, 1);
+        
+        // 大きさが桁違いに変わるため対数で補間する
+        const lerpLog = (from, to) => (from > 0 && to > 0)
+            ? Math.exp(THREE.MathUtils.lerp(Math.log(from), Math.log(to), k))
+            : THREE.MathUtils.lerp(from, to, k);
+        
+        const scales = new Map();
+        transition.to.forEach((to, id) => {
+            const from = transition.from.get(id);
+            scales.set(id, {
+                radius: lerpLog(from.radius, to.radius),
+                distance: lerpLog(from.distance, to.distance)
+            });
+        });
+        this.applyDisplayScales(scales);
+        
+        // 小惑星帯などは距離の圧縮の重みを補間する（対数空間での補間と同じ結果になる）
+        this.setLogDistanceWeight(THREE.MathUtils.lerp(transition.fromLogWeight, transition.toLogWeight, k));
+        
+        if (progress >= 1) {
+            this.scaleTransition = null;
+            
+            // フォーカス中ならズーム範囲などを新しい大きさに合わせ直す
+            if (this.focusBodyId) this.focusBody(this.focusBodyId);
+        }
+    }
+    
+    setupTimeControls() {
+        const clock = this.simulationClock;
+        
+        const speedSelect = this.getElement('speedSelect');
+        if (speedSelect) {
+            SPEED_STEPS.forEach((step, index) => {
+                speedSelect.appendChild(createOption(`speed.${step.id}`, index));
+            });
+            this.listen(speedSelect, 'change', () => clock.setSpeed(Number(speedSelect.value)));
+        }
+        
+        this.listen(this.getElement('playPauseButton'), 'click', () => clock.togglePause());
+        this.listen(this.getElement('reverseButton'), 'click', () => clock.reverse());
+        this.listen(this.getElement('nowButton'), 'click', () => clock.now());
+        
+        const dateInput = this.getElement('dateInput');
+        this.listen(this.getElement('goToDateButton'), 'click', () => {
+            if (!dateInput || !dateInput.value) return;
+            
+            // 入力された日付のローカル時刻0時へ移動
+            clock.setTime(this.parseDateInput(dateInput.value));
+        });
+        
+        // 日付のジャンプ時は軌道線を描き直し、軌跡を消す
+        clock.addEventListener('jump', () => {
+            this.updateOrbitLines();
+            this.clearTrails();
+        });
+        clock.addEventListener('change', () => this.updateTimeControls());
+        this.updateTimeControls();
+    }
+    
+    // 日食・月食などの現象の検索（現在のシミュレーション日時から前後に探す）
+    setupEventFinder() {
+        const kindSelect = this.getElement('eventKindSelect');
+        if (!kindSelect) return;
+        
+        EVENT_KINDS.forEach((kind) => {
+            kindSelect.appendChild(createOption(`eventKind.${kind.id}`, kind.id));
+        });
+        
+        this.listen(this.getElement('previousEventButton'), 'click', () => this.searchEvents(kindSelect.value, -1));
+        this.listen(this.getElement('nextEventButton'), 'click', () => this.searchEvents(kindSelect.value, 1));
+    }
+    
+    async searchEvents(kindId, direction) {
+        const results = this.getElement('eventResults');
+        if (!this.catalog || !results) return;
+        
+        results.hidden = false;
+        results.replaceChildren(Object.assign(document.createElement('li'), { textContent: t('event.searching') }));
+        await new Promise(resolve => setTimeout(resolve, 0)); // 検索中の表示を先に描画させる
+        
+        // 表示中の現象そのものは除くため、1時間ずらしてから探す
+        const start = this.simulationClock.time + direction * 3600000;
+        const events = findEvents(this.catalog, kindId, start, direction);
+        console.log(`現象の検索: ${kindId} ${events.length}件`);
+        
+        if (events.length === 0) {
+            results.replaceChildren(Object.assign(document.createElement('li'), { textContent: t('event.notFound') }));
+            return;
+        }
+        
+        results.replaceChildren(...events.map((event) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.textContent = `${this.formatDateTime(event.time)} ${event.title}`;
+            button.title = event.detail;
+            button.addEventListener('click', () => this.showEvent(event));
+            item.appendChild(button);
+            return item;
+        }));
+    }
+    
+    // 現象の日時へ移動して一時停止し、関係する天体が収まる視点にする
+    showEvent(event) {
+        this.simulationClock.pause();
+        this.simulationClock.setTime(event.time);
+        
+        // カメラの向きを決めるため、新しい日時の位置をすぐに反映する
+        this.bodies.forEach(orbitGroup => this.updatePlanetPosition(orbitGroup));
+        this.scaleGroup.updateMatrixWorld(true);
+        
+        this.focusBody(event.focusId, this.getEventCameraOffset(event));
+        this.showMessage(t('event.message', { title: event.title, time: this.formatDateTime(event.time), detail: event.detail }));
+        console.log(`現象を表示: ${event.title}`);
+    }
+    
+    // 太陽と注目する天体を結ぶ線を横から（viewAngle だけ太陽の側から）見て、framedIds の天体が収まる距離
+    // 月の影は sunLight のシャドウマップで地球に落ちる
+    getEventCameraOffset(event) {
+        const center = this.getBodyMesh(event.focusId).getWorldPosition(new THREE.Vector3());
+        const sunPosition = this.sun.getWorldPosition(new THREE.Vector3());
+        
+        let radius = this.getBodyWorldRadius(event.focusId) * 3;
+        event.framedIds.forEach((id) => {
+            const position = this.getBodyMesh(id).getWorldPosition(new THREE.Vector3());
+            radius = Math.max(radius, position.distanceTo(center) + this.getBodyWorldRadius(id));
+        });
+        
+        const up = new THREE.Vector3(0, 1, 0);
+        const sunward = sunPosition.sub(center).normalize();
+        const side = new THREE.Vector3().crossVectors(sunward, up).normalize();
+        const angle = THREE.MathUtils.degToRad(getEventKind(event.kind)?.viewAngle ?? 0);
+        const direction = side.multiplyScalar(Math.cos(angle))
+            .addScaledVector(sunward, Math.sin(angle))
+            .addScaledVector(up, 0.4)
+            .normalize();
+        
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+        return direction.multiplyScalar(radius * 1.2 / Math.sin(halfFov));
+    }
+    
+    updateTimeControls() {
+        const clock = this.simulationClock;
+        
+        const playPauseButton = this.getElement('playPauseButton');
+        if (playPauseButton) {
+            playPauseButton.textContent = t(clock.playing ? 'ui.pause' : 'ui.play');
+        }
+        
+        const reverseButton = this.getElement('reverseButton');
+        if (reverseButton) {
+            reverseButton.textContent = t(clock.direction > 0 ? 'ui.reverse' : 'ui.forward');
+        }
+        
+        const speedSelect = this.getElement('speedSelect');
+        if (speedSelect) {
+            speedSelect.value = clock.customRate === null ? clock.speedIndex : ''; // 段階にない速度は空欄
+        }
+        
+        this.updateDateDisplay();
+    }
+    
+    updateDateDisplay() {
+        const text = this.formatDateTime(this.simulationClock.time);
+        
+        // 表示（分単位）が変わったときだけDOMを更新し、埋め込み先に知らせる
+        if (text === this.dateDisplayText) return;
+        this.dateDisplayText = text;
+        
+        const dateDisplay = this.getElement('dateDisplay');
+        if (dateDisplay) dateDisplay.textContent = text;
+        this.dispatchEvent({ type: 'timechange', time: this.simulationClock.getDate() });
+    }
+    
+    formatDateTime(time) {
+        return new Date(time).toLocaleString(getLocale(), {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    // 表示状態の共有（リンクのコピーと、options.urlState ならページのURLへの反映）
+    setupShareControls() {
+        this.listen(this.getElement('copyLinkButton'), 'click', () => this.copyViewLink());
+    }
+    
+    // 共有する表示状態（view-state.js の state）。カメラの移動中は移動先の視点
+    getViewState() {
+        const clock = this.simulationClock;
+        const transition = this.cameraTransition;
+        const target = transition ? this.getFocusTargetPosition(new THREE.Vector3()) : this.controls.target.clone();
+        const offset = transition ? transition.offset : this.camera.position.clone().sub(target);
+        
+        return {
+            time: clock.time,
+            rate: (clock.customRate ?? clock.speed.rate) * clock.direction,
+            paused: !clock.playing,
+            scale: this.scaleMode.id,
+            focus: this.focusBodyId,
+            camera: offset.toArray(),
+            target: target.toArray(),
+            axes: this.showAxes,
+            orbits: this.showOrbits,
+            trails: this.showTrails,
+            labels: LABEL_CATEGORIES.filter(category => this.labels.isCategoryVisible(category.id)).map(category => category.id),
+            belts: [...this.belts].filter(([, particleBelt]) => particleBelt.mesh.visible).map(([id]) => id),
+            hidden: [...this.hiddenBodyIds]
+        };
+    }
+    
+    getViewUrl() {
+        const url = new URL(window.location.href);
+        url.hash = encodeViewState(this.getViewState());
+        return url.href;
+    }
+    
+    async copyViewLink() {
+        const url = this.getViewUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showMessage(t('share.copied'));
+        } catch (error) {
+            console.warn('クリップボードに書き込めません', error);
+            this.showMessage(t('share.copyFailed', { url }), 'error');
+        }
+    }
+    
+    // URLの視点を復元する（天体の位置が決まるカタログの読み込み後）
+    // フォーカス先が見つからないときや視点が読めないときは既定の視点のまま
+    restoreViewCamera() {
+        const { focus, camera, target } = this.viewState;
+        let offset = camera ? new THREE.Vector3().fromArray(camera) : null;
+        if (offset?.lengthSq() === 0) offset = null;
+        
+        if (focus) {
+            this.focusBody(focus, offset);
+            return;
+        }
+        if (!offset) return;
+        
+        this.cameraTransition = null;
+        this.controls.enabled = true;
+        this.controls.target.fromArray(target || [0, 0, 0]);
+        this.camera.position.copy(this.controls.target).add(offset);
+    }
+    
+    // ガイドツアー（ステップごとに表示を切り替え、説明文をHTMLのパネルとXRのパネルに出す）
+    setupTourControls() {
+        const player = this.tourPlayer;
+        player.addEventListener('step', ({ step, index }) => {
+            this.applyTourStep(step);
+            this.updateTourPanel();
+            this.dispatchEvent({ type: 'tourstep', index: index });
+        });
+        player.addEventListener('change', () => this.updateTourPanel());
+        player.addEventListener('end', () => {
+            this.updateTourPanel();
+            this.dispatchEvent({ type: 'tourend' });
+        });
+        
+        this.xrCaption = new XRCaption({
+            previous: () => player.previous(),
+            next: () => player.next(),
+            toggleAutoplay: () => player.toggleAutoplay(),
+            close: () => player.stop()
+        });
+        this.scene.add(this.xrCaption.mesh);
+        
+        this.listen(this.getElement('tourButton'), 'click', () => this.startTour(this.options.tour));
+        this.listen(this.getElement('tourPreviousButton'), 'click', () => player.previous());
+        this.listen(this.getElement('tourNextButton'), 'click', () => player.next());
+        this.listen(this.getElement('tourAutoplayButton'), 'click', () => player.toggleAutoplay());
+        this.listen(this.getElement('tourCloseButton'), 'click', () => player.stop());
+        
+        // 先生が書いたツアーをファイルから読み込む
+        const tourInput = this.getElement('tourInput');
+        if (!tourInput) return;
+        
+        this.listen(this.getElement('tourFileButton'), 'click', () => tourInput.click());
+        this.listen(tourInput, 'change', async () => {
+            const file = tourInput.files[0];
+            tourInput.value = '';
+            if (!file) return;
+            
+            let tour;
+            try {
+                tour = JSON.parse(await file.text());
+            } catch (error) {
+                this.showMessage(t('tour.invalidJson', { url: file.name, reason: error.message }), 'error');
+                return;
+            }
+            this.startTour(tour);
+        });
+    }
+    
+    // ステップにある項目だけ表示を変える
+    applyTourStep(step) {
+        const clock = this.simulationClock;
+        if (step.scale !== undefined) this.setScaleMode(step.scale);
+        if (step.date !== undefined) clock.setTime(Date.parse(step.date));
+        if (step.rate !== undefined) clock.setRate(step.rate);
+        if (step.paused !== undefined) step.paused ? clock.pause() : clock.play();
+        if (step.orbits !== undefined) this.setOrbitsVisible(step.orbits);
+        if (step.axes !== undefined) this.setAxesVisible(step.axes);
+        if (step.trails !== undefined) this.setTrailsVisible(step.trails);
+        if (step.labels !== undefined) this.setLabelCategoriesVisible(step.labels);
+        if (step.belts !== undefined) BELTS.forEach(belt => this.setBeltVisible(belt.id, step.belts.includes(belt.id)));
+        if (step.hide !== undefined) {
+            this.hiddenBodyIds = new Set(step.hide);
+            this.applyBodyVisibility();
+            this.updateFocusList();
+        }
+        
+        if (step.focus === undefined && !step.camera) return;
+        const focusId = step.focus !== undefined ? step.focus : this.focusBodyId;
+        
+        // カメラの向きを決めるため、新しい日時の位置をすぐに反映する
+        this.bodies.forEach(orbitGroup => this.updatePlanetPosition(orbitGroup));
+        this.scaleGroup.updateMatrixWorld(true);
+        
+        // XRでは視点を動かせないので、天体を目の前に持ってくる
+        if (this.renderer.xr.isPresenting) {
+            focusId ? this.focusBodyInXR(focusId) : this.resetXRView();
+            return;
+        }
+        const offset = step.camera ? new THREE.Vector3().fromArray(step.camera) : null;
+        focusId ? this.focusBody(focusId, offset) : this.showOverview(offset);
+    }
+    
+    getTourCaptionState() {
+        const player = this.tourPlayer;
+        return {
+            title: localize(player.step.title || player.tour.title) || t('tour.defaultTitle'),
+            caption: localize(player.step.caption),
+            progress: `${player.index + 1} / ${player.stepCount}`,
+            autoplay: player.autoplay
+        };
+    }
+    
+    updateTourPanel() {
+        const player = this.tourPlayer;
+        const panel = this.getElement('tourPanel');
+        if (!panel) return;
+        
+        panel.hidden = !player.isActive;
+        if (!player.isActive) return;
+        
+        const state = this.getTourCaptionState();
+        this.getElement('tourTitle').textContent = state.title;
+        this.getElement('tourCaption').textContent = state.caption;
+        this.getElement('tourProgress').textContent = state.progress;
+        this.getElement('tourPreviousButton').disabled = player.index === 0;
+        this.getElement('tourNextButton').textContent = t(player.index === player.stepCount - 1 ? 'tour.end' : 'tour.next');
+        this.getElement('tourAutoplayButton').textContent = t(player.autoplay ? 'tour.stopAutoplay' : 'tour.autoplay');
+    }
+    
+    // XRでは説明文を視点の前のパネルに出す
+    updateXRCaption() {
+        if (!this.renderer.xr.isPresenting || !this.tourPlayer.isActive) {
+            this.xrCaption.hide();
+            return;
+        }
+        
+        this.xrCaption.updatePlacement(this.renderer.xr.getCamera());
+        this.xrCaption.update(this.getTourCaptionState());
+    }
+    
+    // 共有セッション（発表者の表示にほかの参加者が合わせる。中継サーバーは server/relay.mjs）
+    setupSharingControls() {
+        this.avatars = new Avatars();
+        this.scaleGroup.add(this.avatars.group);
+        
+        const roomInput = this.getElement('sharingRoomInput');
+        const nameInput = this.getElement('sharingNameInput');
+        const keyInput = this.getElement('sharingKeyInput');
+        const start = (role) => {
+            const room = roomInput?.value.trim() || 'default';
+            this.startSharedSession({ room, role, name: nameInput?.value.trim() || '', key: keyInput?.value || '' });
+        };
+        this.listen(this.getElement('presentButton'), 'click', () => start('presenter'));
+        this.listen(this.getElement('joinSessionButton'), 'click', () => start('follower'));
+        this.listen(this.getElement('detachButton'), 'click', () => this.setDetached(!this.isDetached));
+        this.listen(this.getElement('leaveSessionButton'), 'click', () => this.leaveSharedSession());
+        this.updateSharingControls();
+    }
+    
+    // role: 'presenter'（表示を配る）| 'follower'（発表者に合わせる）、key: 発表者キー（任意）
+    startSharedSession({ room = 'default', role = 'follower', name = '', key = '' } = {}) {
+        this.leaveSharedSession();
+        
+        const session = new SharedSession(getSessionUrl(this.options.sessionServer, room), role, name, key);
+        this.sharedSession = session;
+        this.isDetached = false;
+        this.receivedSharedState = null;
+        this.appliedSharedState = null;
+        
+        session.addEventListener('status', ({ status }) => {
+            if (status === 'open') this.avatars.clear();
+            this.updateSharingControls();
+        });
+        session.addEventListener('welcome', () => this.updateSharingControls());
+        session.addEventListener('presenter', () => this.updateSharingControls());
+        session.addEventListener('join', () => this.updateSharingControls());
+        session.addEventListener('leave', ({ id }) => {
+            this.avatars.remove(id);
+            this.updateSharingControls();
+        });
+        session.addEventListener('error', ({ code }) => this.showMessage(t(`sharing.error.${code}`), 'error'));
+        // state・pose は SharedSession が確かめた値（読めない項目は含まない）
+        session.addEventListener('pose', ({ id, pose }) => {
+            const peer = session.peers.get(id);
+            if (peer) this.avatars.setPose(id, peer.name || t('sharing.defaultName', { id }), pose);
+        });
+        session.addEventListener('state', ({ state }) => {
+            if (session.isPresenter) return;
+            this.receivedSharedState = state;
+            if (!this.isDetached && !this.isExporting) this.applySharedState(state); // 書き出し中に受け取った状態は終わってから合わせる
+        });
+        
+        session.connect();
+        console.log(`共有セッション: ${room}（${role === 'presenter' ? '発表者' : '参加者'}）`);
+    }
+    
+    leaveSharedSession() {
+        if (!this.sharedSession) return;
+        this.sharedSession.close();
+        this.sharedSession = null;
+        this.sharedCameraGoal = null;
+        this.sharedPlacementGoal = null;
+        this.avatars.clear();
+        this.updateSharingControls();
+    }
+    
+    // 参加者が発表者から離れて自由に見る（false で発表者の表示に戻る）
+    setDetached(detached) {
+        if (!this.sharedSession || this.sharedSession.isPresenter) return;
+        this.isDetached = detached;
+        this.sharedCameraGoal = null;
+        this.sharedPlacementGoal = null;
+        if (!detached && this.receivedSharedState) {
+            this.appliedSharedState = null;
+            this.applySharedState(this.receivedSharedState);
+        }
+        this.updateSharingControls();
+    }
+    
+    // 'presenter' | 'following' | 'detached' | null（共有していない）
+    getSharingMode() {
+        const session = this.sharedSession;
+        if (!session) return null;
+        if (session.isPresenter) return 'presenter';
+        return this.isDetached ? 'detached' : 'following';
+    }
+    
+    updateSharingControls() {
+        const session = this.sharedSession;
+        const mode = this.getSharingMode();
+        const detachButton = this.getElement('detachButton');
+        const leaveButton = this.getElement('leaveSessionButton');
+        if (detachButton) {
+            detachButton.hidden = mode !== 'following' && mode !== 'detached';
+            detachButton.textContent = t(mode === 'detached' ? 'sharing.rejoin' : 'sharing.detach');
+        }
+        if (leaveButton) leaveButton.hidden = !session;
+        ['presentButton', 'joinSessionButton'].forEach((id) => {
+            const button = this.getElement(id);
+            if (button) button.hidden = Boolean(session);
+        });
+        
+        const status = this.getElement('sharingStatus');
+        if (!status) return;
+        
+        const count = session ? session.peers.size + 1 : 0;
+        if (!session || session.status === 'closed') {
+            status.textContent = '';
+        } else if (session.status !== 'open') {
+            status.textContent = t(`sharing.${session.status}`);
+        } else if (mode === 'presenter') {
+            status.textContent = t('sharing.presenting', { count });
+        } else {
+            const presenter = t(session.presenterId === null ? 'sharing.waiting' : mode === 'detached' ? 'sharing.detached' : 'sharing.following');
+            status.textContent = t('sharing.joined', { count, presenter });
+        }
+    }
+    
+    // 発表者が配る表示状態（XRでは太陽系の置き方も）
+    getSharedState() {
+        const isXR = this.renderer.xr.isPresenting;
+        return {
+            view: this.getViewState(),
+            selected: this.selectedBodyId,
+            xr: isXR,
+            placement: isXR ? {
+                position: this.scaleGroup.position.toArray(),
+                quaternion: this.scaleGroup.quaternion.toArray(),
+                scale: this.currentScale
+            } : null
+        };
+    }
+    
+    // 前に受け取った状態から変わった項目だけ合わせる（発表者が変えていない間は参加者が自分で操作できる）
+    // state.view は sanitizeViewState を通したもので、読めなかった項目は持たない
+    applySharedState(state) {
+        const previous = this.appliedSharedState;
+        this.appliedSharedState = state;
+        const view = state.view;
+        const changed = key => view[key] !== undefined && (!previous || JSON.stringify(previous.view[key]) !== JSON.stringify(view[key]));
+        const clock = this.simulationClock;
+        
+        // 時刻は毎回変わるので、ずれが大きいときだけ合わせる（0.25秒分の再生、最低2秒）
+        const tolerance = Math.max(Math.abs(view.rate ?? clock.rate) * 250, 2000);
+        if (view.time !== undefined && Math.abs(clock.time - view.time) > tolerance) clock.setTime(view.time);
+        if (changed('rate')) clock.setRate(view.rate);
+        if (changed('paused')) view.paused ? clock.pause() : clock.play();
+        if (changed('scale') && view.scale !== this.scaleMode.id) this.setScaleMode(view.scale);
         
-        // 接触ポイント表示
-        this.createContactPoints();
+        if (changed('axes')) this.setAxesVisible(view.axes);
+        if (changed('orbits')) this.setOrbitsVisible(view.orbits);
+        if (changed('trails') && view.trails !== this.showTrails) this.setTrailsVisible(view.trails);
+        if (changed('labels')) this.setLabelCategoriesVisible(view.labels);
+        if (changed('belts')) BELTS.forEach(belt => this.setBeltVisible(belt.id, view.belts.includes(belt.id)));
+        if (changed('hidden')) {
+            this.hiddenBodyIds = new Set(view.hidden);
+            this.applyBodyVisibility();
+            this.updateFocusList();
+        }
+        
+        if (changed('focus') || changed('camera') || changed('target') || state.placement) this.followSharedFocus(state, changed);
         
+        // フォーカスすると天体が選択されるので、選択はフォーカスの後に合わせる
+        if (!previous || previous.selected !== state.selected || changed('focus')) {
+            state.selected && this.getBodyMesh(state.selected) ? this.selectBody(state.selected) : this.clearSelection();
+        }
     }
     
-    createControllerLights() {
-        // コントローラーライトを削除
-        // 代わりにコントローラーモデル自体を発光マテリアルで見やすくする
+    followSharedFocus(state, changed) {
+        const view = state.view;
+        this.bodies.forEach(orbitGroup => this.updatePlanetPosition(orbitGroup));
+        this.scaleGroup.updateMatrixWorld(true);
         
-        // コントローラー1のモデルを発光させる
-        this.controllerGrip1.traverse((child) => {
-            if (child.isMesh && child.material) {
-                child.material = child.material.clone();
-                child.material.emissive = new THREE.Color(0x333333);
-                child.material.emissiveIntensity = 0.2;
+        // XRどうしなら太陽系の置き方を、それ以外はフォーカス・視点を合わせる
+        if (this.renderer.xr.isPresenting) {
+            if (state.placement) {
+                this.xrFocus = null;
+                this.sharedPlacementGoal = state.placement;
+            } else if (changed('focus')) {
+                view.focus ? this.focusBodyInXR(view.focus) : this.resetXRView();
             }
-        });
+            return;
+        }
         
-        // コントローラー2のモデルを発光させる
-        this.controllerGrip2.traverse((child) => {
-            if (child.isMesh && child.material) {
-                child.material = child.material.clone();
-                child.material.emissive = new THREE.Color(0x333333);
-                child.material.emissiveIntensity = 0.2;
-            }
-        });
+        const offset = view.camera ? new THREE.Vector3().fromArray(view.camera) : null;
+        if (view.focus !== undefined && view.focus !== this.focusBodyId) {
+            view.focus ? this.focusBody(view.focus, offset) : this.showOverview(offset);
+            this.sharedCameraGoal = null;
+        } else if (offset && (view.target || this.focusBodyId)) {
+            const target = view.target ? new THREE.Vector3().fromArray(view.target) : this.controls.target.clone();
+            this.sharedCameraGoal = { offset: offset, target: target };
+        }
     }
     
-    updateControllerAppearance() {
-        // XRセッション開始後にコントローラーモデルの外観を更新
-        setTimeout(() => {
-            this.controllerGrip1.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    child.material = child.material.clone();
-                    child.material.emissive = new THREE.Color(0x333333);
-                    child.material.emissiveIntensity = 0.3;
-                }
-            });
-            
-            this.controllerGrip2.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    child.material = child.material.clone();
-                    child.material.emissive = new THREE.Color(0x333333);
-                    child.material.emissiveIntensity = 0.3;
-                }
-            });
-        }, 1000); // 1秒後に実行
+    // 自分の頭・手の位置を太陽系の座標で送り、発表者は表示状態も送る（0.1秒ごと）
+    updateSharedSession(deltaTime) {
+        this.avatars.update(deltaTime);
+        const session = this.sharedSession;
+        if (!session) return;
+        
+        this.followSharedView(deltaTime);
+        
+        this.sharingTimer -= deltaTime;
+        if (this.sharingTimer > 0 || !session.isOpen) return;
+        this.sharingTimer = 0.1;
+        
+        session.sendPose(this.getSharedPose());
+        if (session.isPresenter) session.sendState(this.getSharedState());
     }
     
-    createContactPoints() {
-        // コントローラー1用接触ポイント球体
-        const contactGeometry1 = new THREE.SphereGeometry(0.01, 8, 8);
-        const contactMaterial1 = new THREE.MeshBasicMaterial({ 
-            color: 0x888888,
-            transparent: true,
-            opacity: 0.7
-        });
-        const contactPoint1 = new THREE.Mesh(contactGeometry1, contactMaterial1);
-        contactPoint1.position.set(0, 0, -0.05); // コントローラーの先端
-        this.controller1.add(contactPoint1);
-        this.contactPoints.push(contactPoint1);
+    getSharedPose() {
+        const isXR = this.renderer.xr.isPresenting;
+        const head = isXR ? this.renderer.xr.getCamera() : this.camera;
+        this.scaleGroup.updateMatrixWorld();
+        const toSystem = this.scaleGroup.matrixWorld.clone().invert();
         
-        // コントローラー2用接触ポイント球体
-        const contactGeometry2 = new THREE.SphereGeometry(0.01, 8, 8);
-        const contactMaterial2 = new THREE.MeshBasicMaterial({ 
-            color: 0x888888,
-            transparent: true,
-            opacity: 0.7
-        });
-        const contactPoint2 = new THREE.Mesh(contactGeometry2, contactMaterial2);
-        contactPoint2.position.set(0, 0, -0.05);
-        this.controller2.add(contactPoint2);
-        this.contactPoints.push(contactPoint2);
+        const transform = (object) => {
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            toSystem.clone().multiply(object.matrixWorld).decompose(position, quaternion, new THREE.Vector3());
+            return { p: position.toArray(), q: quaternion.toArray() };
+        };
+        
+        // 頭の大きさ: XRでは実際の大きさ、PCでは注視点までの距離に合わせた見やすい大きさ
+        const size = isXR ? 0.25 / this.currentScale : this.camera.position.distanceTo(this.controls.target) * 0.04 / this.currentScale;
+        const hands = isXR ? [this.controller1, this.controller2].map(controller => (controller.visible ? transform(controller) : null)) : [];
+        
+        return { head: transform(head), hands: hands, size: size };
     }
     
-    
-    onSelectStart(event) {
-        const controller = event.target;
+    // 発表者の視点・置き方へなめらかに近づける（近づいたら追うのをやめ、自分で動かせるようにする）
+    followSharedView(deltaTime) {
+        const step = 1 - Math.exp(-6 * deltaTime);
         
-        // XRモード時に太陽のドラッグを許可（テスト用にAR/VR両方）
-        if (this.renderer.xr.isPresenting && this.sun) {
-            const intersections = this.getIntersections(controller);
-            
-            if (intersections.length > 0) {
-                const intersected = intersections[0].object;
-                
-                // 太陽を選択した場合
-                if (intersected === this.sun) {
-                    this.isDragging = true;
-                    this.dragController = controller;
-                    
-                    // ドラッグ開始時のオフセットを計算
-                    const controllerPosition = new THREE.Vector3();
-                    controller.getWorldPosition(controllerPosition);
-                    
-                    const sunPosition = new THREE.Vector3();
-                    this.scaleGroup.getWorldPosition(sunPosition);
-                    
-                    this.dragOffset.copy(sunPosition).sub(controllerPosition);
-                    
-                    console.log('太陽ドラッグ開始');
-                }
-            }
+        const placement = this.sharedPlacementGoal;
+        if (placement && this.renderer.xr.isPresenting && !this.isDragging && !this.twoHandedGrab) {
+            const position = new THREE.Vector3().fromArray(placement.position);
+            const quaternion = new THREE.Quaternion().fromArray(placement.quaternion);
+            this.scaleGroup.position.lerp(position, step);
+            this.scaleGroup.quaternion.slerp(quaternion, step);
+            this.setSystemScale(THREE.MathUtils.lerp(this.currentScale, placement.scale, step));
+            if (this.scaleGroup.position.distanceTo(position) < 0.001) this.sharedPlacementGoal = null;
         }
-    }
-    
-    onSelectEnd(event) {
-        if (this.isDragging && event.target === this.dragController) {
-            this.isDragging = false;
-            this.dragController = null;
-            console.log('ドラッグ終了');
+        
+        const goal = this.sharedCameraGoal;
+        if (goal && !this.renderer.xr.isPresenting && !this.cameraTransition) {
+            const target = this.focusBodyId ? this.getFocusTargetPosition(new THREE.Vector3()) : goal.target;
+            this.controls.target.lerp(target, step);
+            this.camera.position.lerp(target.clone().add(goal.offset), step);
+            if (this.camera.position.distanceTo(target.clone().add(goal.offset)) < goal.offset.length() * 0.001) this.sharedCameraGoal = null;
         }
     }
     
-    getIntersections(controller) {
-        const tempMatrix = new THREE.Matrix4();
-        tempMatrix.identity().extractRotation(controller.matrixWorld);
+    // 表示する言語（画面の文字は i18n.js の表から引く。ページ全体で1つ）
+    setupLanguageControls() {
+        setLanguage(this.options.language ?? detectLanguage());
+        translateElement(this.container);
         
-        const raycaster = new THREE.Raycaster();
-        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
-        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+        const languageSelect = this.getElement('languageSelect');
+        if (!languageSelect) return;
         
-        // レイキャスターの範囲を設定
-        raycaster.far = 0.3; // 5mに縮小
+        LANGUAGES.forEach(language => languageSelect.appendChild(new Option(language.label, language.id)));
+        languageSelect.value = getLanguage();
+        this.listen(languageSelect, 'change', () => this.setLanguage(languageSelect.value));
+    }
+    
+    // 言語を切り替えた後、表示中の文字を書き直す
+    applyLanguage() {
+        translateElement(this.container);
+        const languageSelect = this.getElement('languageSelect');
+        if (languageSelect) languageSelect.value = getLanguage();
         
-        // 太陽系全体をチェック（デバッグ用）
-        const allObjects = [];
-        this.scaleGroup.traverse((child) => {
-            if (child.isMesh) {
-                allObjects.push(child);
-            }
+        this.getElement('beltControls')?.querySelectorAll('option').forEach((option) => {
+            option.textContent = Number(option.value).toLocaleString(getLocale());
         });
+        this.labels.updateNames();
+        this.updateFocusList();
+        this.updateInfoPanel();
+        this.xrInfoPanel.buttons.find(button => button.id === 'teleport').label = t('xr.teleport');
         
-        const intersections = raycaster.intersectObjects(allObjects);
+        // 日時の表示は変わったときだけ書き直すので、前回の表示を忘れさせる
+        this.dateDisplayText = '';
+        this.updateTimeControls();
+        this.updateScaleModeInfo();
+        this.updateTourPanel();
+        this.updateSharingControls();
+        this.updateXRButtons();
+        this.updateXRButtonSupport();
         
-        return intersections;
+        // 検索結果の文字は検索したときの言語なので消す
+        const eventResults = this.getElement('eventResults');
+        if (eventResults) {
+            eventResults.replaceChildren();
+            eventResults.hidden = true;
+        }
     }
     
-    isARMode() {
-        const session = this.renderer.xr.getSession();
-        return session && session.mode === 'immersive-ar';
+    // 画像の保存（今の画面のPNGと、日付の範囲を一定の間隔で進めた連番PNGのZIP）
+    setupCaptureControls() {
+        const stepSelect = this.getElement('exportStepSelect');
+        if (stepSelect) {
+            EXPORT_STEPS.forEach(step => stepSelect.appendChild(createOption(`exportStep.${step.id}`, step.id)));
+            stepSelect.value = 'day';
+        }
+        
+        this.listen(this.getElement('screenshotButton'), 'click', async () => {
+            try {
+                const blob = await this.captureImage(this.getCaptureSizeInput());
+                downloadBlob(blob, `solar-system-${this.formatDateInput(this.simulationClock.time)}.png`);
+            } catch (error) {
+                console.error(error);
+                this.showMessage(error.message, 'error');
+            }
+        });
+        this.listen(this.getElement('exportFramesButton'), 'click', () => this.startFrameExport());
+        this.listen(this.getElement('exportCancelButton'), 'click', () => this.cancelExport());
+    }
+    
+    // 入力欄の幅・高さ（入力欄がなければ画面の大きさ）
+    getCaptureSizeInput() {
+        const viewport = this.getViewportSize();
+        const width = Number(this.getElement('captureWidthInput')?.value || viewport.width);
+        const height = Number(this.getElement('captureHeightInput')?.value || viewport.height);
+        return { width, height };
     }
     
-    handleControllerInput() {
+    checkCaptureSize(width, height) {
+        const maxSize = Math.min(MAX_CAPTURE_SIZE, this.renderer.capabilities.maxTextureSize || MAX_CAPTURE_SIZE);
         if (this.renderer.xr.isPresenting) {
-            const session = this.renderer.xr.getSession();
-            if (session) {
-                const inputSources = Array.from(session.inputSources);
-                
-                inputSources.forEach((inputSource) => {
-                    if (inputSource.gamepad) {
-                        const gamepad = inputSource.gamepad;
-                        
-                        // ジョイスティックの上下でスケーリング
-                        if (gamepad.axes.length >= 2) {
-                            const yAxis = gamepad.axes[3] || gamepad.axes[1]; // 右スティックまたは左スティック
-                            if (Math.abs(yAxis) > 0.1) {
-                                const scaleChange = yAxis * 0.005;
-                                this.updateScale(-scaleChange); // 上で拡大、下で縮小
-                            }
-                        }
-                    }
-                });
-            }
+            throw new Error(t('capture.inXR'));
+        }
+        if (this.isExporting) {
+            throw new Error(t('capture.busy'));
+        }
+        if (![width, height].every(size => Number.isInteger(size) && size >= 16 && size <= maxSize)) {
+            throw new Error(t('capture.invalidSize', { max: maxSize, width, height }));
         }
     }
     
-    handleDragging() {
-        if (this.isDragging && this.dragController) {
-            const controllerPosition = new THREE.Vector3();
-            this.dragController.getWorldPosition(controllerPosition);
+    // 描画の大きさを一時的に width×height px にして描き、名前ラベルを重ねたキャンバスを返す
+    // 画面の高さを基準に拡大するので、点や文字の大きさは画面で見たときと同じ比率になる
+    renderCapture(width, height, labelDeltaTime) {
+        const renderer = this.renderer;
+        const pixelRatio = height / this.getViewportSize().height;
+        const viewport = { width: width / pixelRatio, height: height / pixelRatio };
+        const previousPixelRatio = renderer.getPixelRatio();
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        
+        try {
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(viewport.width, viewport.height, false);
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+            this.render();
+            ctx.drawImage(renderer.domElement, 0, 0, width, height); // 描いた直後なら描画バッファを読める
             
-            // コントローラー位置 + オフセットを新しい太陽系位置とする
-            const newPosition = controllerPosition.clone().add(this.dragOffset);
-            this.scaleGroup.position.copy(newPosition);
+            const fadeDistance = this.getSystemRadius() * this.currentScale * this.labelFadeFactor;
+            this.labels.update(this.camera, viewport, false, labelDeltaTime, fadeDistance);
+            this.labels.draw(ctx, viewport, pixelRatio);
+        } finally {
+            renderer.setPixelRatio(previousPixelRatio);
+            this.onResize();
         }
+        return canvas;
     }
     
-    updateContactPoints() {
-        if (!this.renderer.xr.isPresenting) return;
+    async startFrameExport() {
+        const startInput = this.getElement('exportStartInput');
+        const endInput = this.getElement('exportEndInput');
+        const stepSelect = this.getElement('exportStepSelect');
+        const progress = this.getElement('exportProgress');
+        const cancelButton = this.getElement('exportCancelButton');
+        const buttons = ['screenshotButton', 'exportFramesButton'].map(id => this.getElement(id)).filter(Boolean);
         
-        // 各コントローラーの接触判定
-        [this.controller1, this.controller2].forEach((controller, index) => {
-            if (controller && this.contactPoints[index]) {
-                const intersections = this.getIntersections(controller);
-                const contactPoint = this.contactPoints[index];
-                
-                // 太陽との接触チェック
-                const sunContact = intersections.some(intersection => 
-                    intersection.object === this.sun
-                );
-                
-                if (sunContact) {
-                    // 太陽に接触している場合は赤色
-                    contactPoint.material.color.setHex(0xff4444);
-                    contactPoint.material.opacity = 1.0;
-                } else {
-                    // 接触していない場合はグレー
-                    contactPoint.material.color.setHex(0x888888);
-                    contactPoint.material.opacity = 0.7;
+        // 期間が空なら今の日付から1年間
+        const time = this.simulationClock.time;
+        if (startInput && !startInput.value) startInput.value = this.formatDateInput(time);
+        if (endInput && !endInput.value) endInput.value = this.formatDateInput(time + 365 * 86400000);
+        const step = EXPORT_STEPS.find(item => item.id === stepSelect?.value) ?? EXPORT_STEPS[1];
+        
+        buttons.forEach((button) => {
+            button.disabled = true;
+        });
+        if (cancelButton) cancelButton.hidden = false;
+        
+        try {
+            const zip = await this.exportFrameSequence({
+                ...this.getCaptureSizeInput(),
+                start: this.parseDateInput(startInput?.value) ?? time,
+                end: this.parseDateInput(endInput?.value) ?? time + 365 * 86400000,
+                step: step.ms,
+                onProgress: (done, count) => {
+                    if (progress) progress.textContent = t('capture.progress', { done, count });
                 }
+            });
+            if (zip) {
+                downloadBlob(zip, 'solar-system-frames.zip');
+            } else {
+                this.showMessage(t('capture.cancelled'));
             }
-        });
+        } catch (error) {
+            console.error(error);
+            this.showMessage(error.message, 'error');
+        } finally {
+            buttons.forEach((button) => {
+                button.disabled = false;
+            });
+            if (cancelButton) cancelButton.hidden = true;
+            if (progress) progress.textContent = '';
+        }
     }
     
-    updateScale(delta) {
-        this.currentScale = THREE.MathUtils.clamp(
-            this.currentScale + delta,
-            this.minScale,
-            this.maxScale
-        );
-        this.scaleGroup.scale.setScalar(this.currentScale);
-        this.adjustLightingForScale(this.currentScale);
+    // 日付の入力欄の値（YYYY-MM-DD）を、その日のローカル時刻0時のミリ秒にする（空なら null）
+    parseDateInput(value) {
+        if (!value) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        date.setFullYear(year); // 0〜99年が1900年代に解釈されるのを防ぐ
+        return date.getTime();
     }
     
-    setupEventListeners() {
-        window.addEventListener('resize', this.onWindowResize.bind(this));
+    formatDateInput(time) {
+        const date = new Date(time);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    // 表示状態をページのURLのハッシュに書き込む（履歴は増やさない）
+    updateUrlState(deltaTime) {
+        if (!this.options.urlState || !this.catalog) return;
         
-        // キーボードでのスケール調整（テスト用）
-        window.addEventListener('keydown', (event) => {
-            switch(event.code) {
-                case 'Equal': // +キー
-                case 'NumpadAdd':
-                    this.updateScale(0.1);
-                    break;
-                case 'Minus': // -キー
-                case 'NumpadSubtract':
-                    this.updateScale(-0.1);
-                    break;
-            }
-        });
+        this.urlStateTimer -= deltaTime;
+        if (this.urlStateTimer > 0) return;
+        this.urlStateTimer = 1; // 1秒ごと
+        
+        const hash = `#${encodeViewState(this.getViewState())}`;
+        if (hash !== window.location.hash) {
+            history.replaceState(history.state, '', hash);
+        }
     }
     
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+    onResize() {
+        const { width, height } = this.getViewportSize();
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
     }
     
     animate() {
@@ -796,77 +3499,291 @@ class SolarSystemViewer {
         });
     }
     
-    update() {
-        const deltaTime = this.clock.getDelta();
+    updatePlanetPosition(orbitGroup) {
+        const userData = orbitGroup.userData;
+        const data = userData.data;
+        
+        if (userData.comet) {
+            // 彗星は太陽からの距離だけを変換し、尾は1日後の位置との差を公転の向きとして曲げる
+            const time = this.simulationClock.time;
+            const position = heliocentricPosition(data.elements, time);
+            const velocity = heliocentricPosition(data.elements, time + 86400000).sub(position);
+            
+            userData.planetGroup.position.copy(this.toCometDisplayPosition(position));
+            userData.comet.update(position, velocity, point => this.toCometDisplayPosition(point));
+            return;
+        }
+        
+        heliocentricPosition(data.elements, this.simulationClock.time, userData.planetGroup.position)
+            .applyQuaternion(userData.orbitFrame)
+            .multiplyScalar(this.getOrbitDisplayScale(data));
+    }
+    
+    // 周期 period 日の回転について、J2000から days 日後の角度（period が負なら逆回り）
+    getRotationAngle(period, days) {
+        if (!period) return 0;
+        return ((days / period) % 1) * Math.PI * 2;
+    }
+    
+    // deltaTime: 前のフレームからの実時間（秒）。連番画像の書き出しでは一定の値を渡す
+    update(deltaTime = this.clock.getDelta()) {
+        
+        // シミュレーション時刻を進める
+        this.simulationClock.tick(deltaTime);
+        const days = daysSinceJ2000(this.simulationClock.time);
+        this.updateDateDisplay();
         
         // コントローラー入力処理
-        this.handleControllerInput();
+        this.handleControllerInput(deltaTime);
         
         // ドラッグ処理
         this.handleDragging();
+        this.handleTwoHandedGrab();
+        
+        // ARの配置・アンカー追従
+        this.updateARPlacement();
         
         // 接触判定処理
         this.updateContactPoints();
+        this.updatePoke();
         
         // 太陽の自転
         if (this.sun) {
-            this.sun.rotation.y += deltaTime * 0.5;
+            const sunData = this.sun.userData;
+            this.setBodyOrientation(this.sun, sunData.tilt, this.getRotationAngle(sunData.data.rotationPeriod, days));
+            this.sun.getWorldPosition(this.sunPositionUniform.value);
         }
         
-        // 惑星のアニメーション
-        this.planets.forEach((orbitGroup) => {
+        // 惑星・衛星のアニメーション
+        this.bodies.forEach((orbitGroup) => {
             const userData = orbitGroup.userData;
-            const data = userData.data;
-            
-            // 自転
-            userData.planet.rotation.y += userData.rotationSpeed * deltaTime;
-            
-            // 公転
-            userData.orbitAngle += userData.orbitalSpeed * deltaTime;
             
-            // 楕円軌道位置計算
-            const a = data.distance;
-            const e = data.eccentricity;
-            const angle = userData.orbitAngle;
-            const r = a * (1 - e * e) / (1 + e * Math.cos(angle));
+            // 公転（日付から軌道上の位置を計算）
+            this.updatePlanetPosition(orbitGroup);
             
-            userData.planetGroup.position.x = r * Math.cos(angle);
-            userData.planetGroup.position.z = r * Math.sin(angle);
+            // 自転（日付から自転角を計算するので速度変更が即座に反映される）
+            let spin;
+            if (userData.data.tidallyLocked) {
+                // 潮汐固定：常に同じ面を親天体に向ける（自転軸に垂直な面内での親天体の方向）
+                const position = userData.planetGroup.position.clone().applyQuaternion(userData.tilt.clone().invert());
+                spin = Math.atan2(position.z, -position.x);
+            } else {
+                spin = this.getRotationAngle(userData.data.rotationPeriod, days);
+            }
+            this.setBodyOrientation(userData.planet, userData.tilt, spin);
             
-            // デバッグ用（最初の惑星のみ）
-            if (data.name === '水星' && Math.random() < 0.01) {
-                console.log(`${data.name}: angle=${angle.toFixed(2)}, x=${userData.planetGroup.position.x.toFixed(2)}, z=${userData.planetGroup.position.z.toFixed(2)}`);
+            // 雲は地表とは別の周期で回る（本体の自転を打ち消して雲の角度にする）
+            if (userData.clouds) {
+                userData.clouds.rotation.y = this.getRotationAngle(userData.data.clouds.rotationPeriod ?? userData.data.rotationPeriod, days) - spin;
             }
         });
         
-        // 月のアニメーション
-        if (this.moon) {
-            const moonUserData = this.moon.userData;
-            
-            // 月の自転
-            moonUserData.moon.rotation.y += moonUserData.rotationSpeed * deltaTime;
-            
-            // 月の公転
-            moonUserData.orbitAngle += moonUserData.orbitalSpeed * deltaTime;
-            
-            // 月の位置計算
-            const moonDistance = 3.84;
-            moonUserData.moon.position.x = moonDistance * Math.cos(moonUserData.orbitAngle);
-            moonUserData.moon.position.z = moonDistance * Math.sin(moonUserData.orbitAngle);
-        }
+        // 小惑星帯・カイパーベルトの公転（位置はシェーダーで計算）
+        this.belts.forEach(particleBelt => particleBelt.update(days));
+        
+        // 軌跡の記録（衛星は親天体の位置が決まった後に記録する）
+        this.updateTrails(days);
+        
+        // 表示スケールモードの切り替えアニメーション
+        this.updateScaleTransition(deltaTime);
+        
+        // XRでフォーカス中の天体を目の前に保つ
+        this.updateXRFocus(deltaTime);
+        
+        // 移動中のビネット
+        if (this.renderer.xr.isPresenting) this.locomotion.update(this.renderer.xr.getCamera(), deltaTime);
+        
+        // 選択中の天体の情報と軌道の強調表示
+        this.updateSelection(deltaTime);
+        this.updateXRMenu();
+        if (!this.isExporting) this.tourPlayer.update(deltaTime); // 書き出し中はツアーの自動再生で時刻が変わらないようにする
+        this.updateXRCaption();
+        this.updateXRHover();
+        this.updateOrbitHighlight();
+        
+        // フォーカス中の天体へのカメラ追従
+        this.updateCameraFocus(deltaTime);
         
         // OrbitControls更新（非XRモード時のみ）
         if (!this.renderer.xr.isPresenting && this.controls) {
             this.controls.update();
         }
+        
+        // 名前ラベル（カメラが動いた後の位置で重なりを判定する）
+        this.updateLabels(deltaTime);
+        this.updateUrlState(deltaTime);
+        if (!this.isExporting) this.updateSharedSession(deltaTime); // 書き出し中の時刻は発表者として配らず、発表者にも合わせない
     }
     
     render() {
         this.renderer.render(this.scene, this.camera);
     }
+    
+    // 公開API（埋め込み先から呼ぶ。天体を扱うものは 'load' イベントか ready の後に使う）
+    
+    // 天体へカメラを向ける（null: 太陽系全体）
+    focus(bodyId) {
+        if (bodyId === null) {
+            this.showOverview();
+            return;
+        }
+        if (!this.catalog?.bodies.has(bodyId)) {
+            throw new Error(t('error.unknownBody', { id: bodyId }));
+        }
+        this.focusBody(bodyId);
+    }
+    
+    // date: Date・ミリ秒・日付の文字列
+    setTime(date) {
+        this.simulationClock.setTime(new Date(date));
+    }
+    
+    // 実時間1秒あたりに進む秒数（負なら逆再生、0なら止まる）
+    setTimeScale(rate) {
+        this.simulationClock.setRate(rate);
+    }
+    
+    // 表示スケールモード（'true'、'compressed'、'educational'）
+    setScale(modeId) {
+        this.setScaleMode(this.getScaleModeById(modeId).id);
+    }
+    
+    // ツアーを読み込んで最初のステップから始める（source: URLまたはオブジェクト、null: 既定のツアー）
+    // 読み込めないときはメッセージを出して false を返す
+    async startTour(source = null, autoplay = false) {
+        await this.ready;
+        let tour;
+        try {
+            tour = await loadTour(source || undefined, this.catalog ? [...this.catalog.bodies.keys()] : null);
+        } catch (error) {
+            console.error(error);
+            this.showMessage(error.message, 'error');
+            return false;
+        }
+        if (this.disposed) return false;
+        
+        this.tourPlayer.start(tour, autoplay);
+        console.log(`ツアー開始: ${localize(tour.title) || t('tour.defaultTitle')}（${tour.steps.length}ステップ）`);
+        return true;
+    }
+    
+    stopTour() {
+        this.tourPlayer.stop();
+    }
+    
+    // 表示する言語を切り替える（'ja' | 'en'）
+    setLanguage(languageId) {
+        setLanguage(languageId);
+        this.applyLanguage();
+        this.dispatchEvent({ type: 'languagechange', language: languageId });
+    }
+    
+    // 今の視点を width×height px のPNG（Blob）にする（既定は画面の大きさ）
+    async captureImage({ width, height } = this.getViewportSize()) {
+        this.checkCaptureSize(width, height);
+        return canvasToBlob(this.renderCapture(width, height, 1));
+    }
+    
+    // start から end まで step ミリ秒ずつ時刻を進めて描いた連番PNGを、ZIP（Blob）にまとめる
+    // start・end: Date・ミリ秒・日付の文字列。onProgress(done, count) で進み具合を知らせ、中止したら null を返す
+    async exportFrameSequence({ start, end, step = 86400000, width, height, onProgress = null }) {
+        this.checkCaptureSize(width, height);
+        const startTime = new Date(start).getTime();
+        const endTime = new Date(end).getTime();
+        if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || endTime < startTime) {
+            throw new Error(t('capture.invalidRange'));
+        }
+        if (!(step > 0)) {
+            throw new Error(t('capture.invalidStep', { step }));
+        }
+        const count = Math.floor((endTime - startTime) / step) + 1;
+        if (count > MAX_EXPORT_FRAMES) {
+            throw new Error(t('capture.tooManyFrames', { count, max: MAX_EXPORT_FRAMES }));
+        }
+        
+        // 描画ループを止め、時計は止めたまま1コマずつ進める
+        const clock = this.simulationClock;
+        const saved = { time: clock.time, playing: clock.playing };
+        this.isExporting = true;
+        this.exportCancelled = false;
+        this.renderer.setAnimationLoop(null);
+        clock.pause();
+        clock.setTime(startTime);
+        
+        // PNGはすべてメモリーに持つので、1コマ目の大きさからの見積もりと合計で上限を確かめる
+        const files = [];
+        let totalBytes = 0;
+        try {
+            for (let index = 0; index < count && !this.exportCancelled && !this.disposed; index++) {
+                if (index > 0) clock.advance(step);
+                this.update(FRAME_DELTA);
+                const blob = await canvasToBlob(this.renderCapture(width, height, 0));
+                totalBytes += blob.size;
+                const estimate = index === 0 ? blob.size * count : totalBytes;
+                if (estimate > MAX_EXPORT_BYTES) {
+                    throw new Error(t('capture.tooLarge', { size: Math.ceil(estimate / 1024 ** 2), max: MAX_EXPORT_BYTES / 1024 ** 2 }));
+                }
+                files.push({ name: getFrameName(index, count), data: new Uint8Array(await blob.arrayBuffer()) });
+                onProgress?.(index + 1, count);
+            }
+        } finally {
+            this.isExporting = false;
+            if (!this.disposed) {
+                clock.setTime(saved.time);
+                if (saved.playing) clock.play();
+                this.clock.getDelta(); // 書き出しにかかった時間の分だけ時計が進まないように
+                this.animate();
+                
+                // 書き出し中に発表者から届いた状態に合わせる
+                const session = this.sharedSession;
+                if (session && !session.isPresenter && !this.isDetached && this.receivedSharedState) {
+                    this.applySharedState(this.receivedSharedState);
+                }
+            }
+        }
+        
+        if (this.exportCancelled || this.disposed) return null;
+        console.log(`連番画像を書き出し: ${count}コマ（${width}×${height}）`);
+        return createZip(files);
+    }
+    
+    cancelExport() {
+        if (this.isExporting) this.exportCancelled = true;
+    }
+    
+    // 描画を止め、イベントリスナーとGPUのリソースを解放してキャンバスを取り除く
+    dispose() {
+        if (this.disposed) return;
+        this.tourPlayer.stop();
+        this.leaveSharedSession();
+        this.cancelExport();
+        this.disposed = true;
+        
+        this.renderer.setAnimationLoop(null);
+        this.renderer.xr.removeEventListener('sessionend', this.handleXRSessionEnd);
+        this.renderer.xr.getSession()?.end().catch(() => {}); // 終了は待たない（onXREnd は呼ばれない）
+        this.abortController.abort();
+        this.resizeObserver?.disconnect();
+        this.controls.dispose();
+        
+        this.removeSolarSystem();
+        this.selectionMarker.geometry.dispose();
+        this.selectionMarker.material.dispose();
+        disposeObject(this.scene); // 星空・小惑星帯・XRの情報パネルやコントローラーなど
+        this.belts.clear();
+        
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        
+        // 作ったUIの項目を空にする（同じページで作り直せるように）
+        ['speedSelect', 'scaleModeSelect', 'focusSelect', 'eventKindSelect', 'eventResults', 'beltControls', 'labelControls', 'exportStepSelect', 'languageSelect'].forEach((id) => {
+            this.getElement(id)?.replaceChildren();
+        });
+        console.log('ビューワーを破棄');
+    }
 }
 
-// アプリケーション開始
-document.addEventListener('DOMContentLoaded', () => {
-    new SolarSystemViewer();
-});
\ No newline at end of file
+// 埋め込み用の入口。options は DEFAULT_OPTIONS を参照
+export function createSolarSystemViewer(container, options = {}) {
+    return new SolarSystemViewer(container, options);
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+// 天体暦 - J2000ケプラー軌道要素から日付に応じた日心位置を計算
+import * as THREE from 'three';
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+export const J2000 = 2451545.0; // 2000年1月1日12時のユリウス日（TTとUTCの差は無視）
+export const DAYS_PER_CENTURY = 36525;
+export const AU_KM = 149597870.7; // 1天文単位（km）
+export const OBLIQUITY_J2000 = 23.439281; // 黄道傾斜角（度）
+const GAUSSIAN_GRAVITATIONAL_CONSTANT = 0.01720209895; // k（太陽の重力定数の平方根、AU^1.5/日）
+const OPEN_ORBIT_MAX_DISTANCE = 60; // 放物線・双曲線軌道を描く範囲（AU）
+
+// Date またはミリ秒のタイムスタンプをユリウス日に変換
+export function toJulianDate(time) {
+    const ms = time instanceof Date ? time.getTime() : time;
+    return ms / MS_PER_DAY + 2440587.5;
+}
+
+// J2000からの経過日数
+export function daysSinceJ2000(time) {
+    return toJulianDate(time) - J2000;
+}
+
+// J2000からの経過ユリウス世紀
+export function centuriesSinceJ2000(time) {
+    return (toJulianDate(time) - J2000) / DAYS_PER_CENTURY;
+}
+
+function normalizeDegrees(angle) {
+    return ((angle % 360) + 360) % 360;
+}
+
+// 世紀変化率を適用して時刻Tにおける軌道要素を求める
+// elements: { a, e, i, node, peri, M, rates: { ...1世紀あたりの変化量 } }（角度は度）
+export function elementsAt(elements, T) {
+    const rates = elements.rates || {};
+    const at = (key) => elements[key] + (rates[key] || 0) * T;
+
+    return {
+        a: at('a'),
+        e: at('e'),
+        i: at('i') * DEG,
+        node: normalizeDegrees(at('node')) * DEG,
+        peri: normalizeDegrees(at('peri')) * DEG,
+        M: normalizeDegrees(at('M')) * DEG
+    };
+}
+
+// ケプラー方程式 M = E - e sin E をニュートン法で解き、離心近点角Eを返す
+export function solveKepler(M, e) {
+    // Mを -π〜π に寄せて収束を安定させる
+    const m = Math.atan2(Math.sin(M), Math.cos(M));
+    let E = e < 0.8 ? m : Math.PI * Math.sign(m || 1);
+
+    for (let i = 0; i < 30; i++) {
+        const delta = (E - e * Math.sin(E) - m) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return E;
+}
+
+// 軌道面内の座標（近日点方向がx'）を黄道座標へ回転し、シーン座標（Y軸が黄道北極）で返す
+function orbitalPlaneToScene(el, xp, yp, target) {
+    const cosO = Math.cos(el.node), sinO = Math.sin(el.node);
+    const cosw = Math.cos(el.peri), sinw = Math.sin(el.peri);
+    const cosi = Math.cos(el.i), sini = Math.sin(el.i);
+
+    const x = (cosw * cosO - sinw * sinO * cosi) * xp + (-sinw * cosO - cosw * sinO * cosi) * yp;
+    const y = (cosw * sinO + sinw * cosO * cosi) * xp + (-sinw * sinO + cosw * cosO * cosi) * yp;
+    const z = (sinw * sini) * xp + (cosw * sini) * yp;
+
+    // 黄道座標 (x, y, z) → シーン座標 (x, z, -y)
+    return target.set(x, z, -y);
+}
+
+// 双曲線軌道のケプラー方程式 M = e sinh H - H を解く
+export function solveHyperbolicKepler(M, e) {
+    let H = Math.asinh(M / e);
+
+    for (let i = 0; i < 50; i++) {
+        const delta = (e * Math.sinh(H) - H - M) / (e * Math.cosh(H) - 1);
+        H -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return H;
+}
+
+function positionFromEccentricAnomaly(el, E, target) {
+    const xp = el.a * (Math.cos(E) - el.e);
+    const yp = el.a * Math.sqrt(1 - el.e * el.e) * Math.sin(E);
+    return orbitalPlaneToScene(el, xp, yp, target);
+}
+
+// 彗星の軌道要素 { q: 近日点距離（AU）, e, i, node, peri, tp: 近日点通過のユリウス日 }
+// e ≥ 1 の放物線・双曲線軌道も扱える
+export function isCometaryElements(elements) {
+    return elements.q !== undefined;
+}
+
+function cometaryElements(elements) {
+    return {
+        q: elements.q,
+        e: elements.e,
+        i: elements.i * DEG,
+        node: normalizeDegrees(elements.node) * DEG,
+        peri: normalizeDegrees(elements.peri) * DEG
+    };
+}
+
+function cometaryPosition(elements, time, target) {
+    const el = cometaryElements(elements);
+    const k = GAUSSIAN_GRAVITATIONAL_CONSTANT;
+    const dt = toJulianDate(time) - elements.tp; // 近日点通過からの日数
+    const { q, e } = el;
+
+    if (Math.abs(e - 1) < 1e-6) {
+        // 放物線：バーカー方程式 s^3 + 3s = W（s = tan(ν/2)）
+        const W = 3 * k * dt / Math.sqrt(2 * q * q * q);
+        const Y = Math.cbrt(W / 2 + Math.sqrt(W * W / 4 + 1));
+        const s = Y - 1 / Y;
+        return orbitalPlaneToScene(el, q * (1 - s * s), 2 * q * s, target);
+    }
+
+    if (e > 1) {
+        const a = q / (e - 1);
+        const H = solveHyperbolicKepler(k / Math.pow(a, 1.5) * dt, e);
+        return orbitalPlaneToScene(el, a * (e - Math.cosh(H)), a * Math.sqrt(e * e - 1) * Math.sinh(H), target);
+    }
+
+    const a = q / (1 - e);
+    const E = solveKepler(k / Math.pow(a, 1.5) * dt, e);
+    return positionFromEccentricAnomaly({ ...el, a }, E, target);
+}
+
+// 指定日時の日心位置（単位は軌道要素の a・q と同じ）
+export function heliocentricPosition(elements, time, target = new THREE.Vector3()) {
+    if (isCometaryElements(elements)) return cometaryPosition(elements, time, target);
+    
+    const el = elementsAt(elements, centuriesSinceJ2000(time));
+    const E = solveKepler(el.M, el.e);
+    return positionFromEccentricAnomaly(el, E, target);
+}
+
+// 軌道要素の基準面から黄道座標（シーン座標）への回転
+// frame: "equatorial" の天体は親天体の赤道面が基準（昇交点の経度は親の赤道面と黄道面の交線から測る）
+export function orbitFrameRotation(body, bodies, target = new THREE.Quaternion()) {
+    const parent = bodies.get(body.parent);
+    if (body.frame !== 'equatorial' || !parent?.pole) return target.identity();
+    
+    const pole = poleDirection(parent.pole);
+    const node = new THREE.Vector3(0, 1, 0).cross(pole);
+    if (node.lengthSq() < 1e-12) node.set(1, 0, 0); // 赤道面が黄道面と一致するとき
+    node.normalize();
+    
+    const matrix = new THREE.Matrix4().makeBasis(node, pole, new THREE.Vector3().crossVectors(node, pole));
+    return target.setFromRotationMatrix(matrix);
+}
+
+// カタログの天体の日心位置（AU）
+// 太陽を直接回る天体の軌道要素は AU、衛星は親天体中心の km として親の位置に加える
+export function bodyHeliocentricPosition(body, bodies, time, target = new THREE.Vector3()) {
+    if (!body.parent) return target.set(0, 0, 0);
+    
+    const parent = bodies.get(body.parent);
+    const offset = heliocentricPosition(body.elements, time).applyQuaternion(orbitFrameRotation(body, bodies));
+    if (parent.parent) offset.divideScalar(AU_KM);
+    
+    return bodyHeliocentricPosition(parent, bodies, time, target).add(offset);
+}
+
+// 軌道面の法線（公転の北極方向）をシーン座標の単位ベクトルで返す
+export function orbitNormal(elements, time, target = new THREE.Vector3()) {
+    const el = isCometaryElements(elements) ? cometaryElements(elements) : elementsAt(elements, centuriesSinceJ2000(time));
+    const x = Math.sin(el.i) * Math.sin(el.node);
+    const y = -Math.sin(el.i) * Math.cos(el.node);
+    const z = Math.cos(el.i);
+    return target.set(x, z, -y);
+}
+
+// 自転軸の北極の方向（pole: IAU の赤経 ra・赤緯 dec、J2000 赤道座標の度）
+export function poleDirection(pole, target = new THREE.Vector3()) {
+    const ra = pole.ra * DEG;
+    const dec = pole.dec * DEG;
+    const epsilon = OBLIQUITY_J2000 * DEG;
+
+    const x = Math.cos(dec) * Math.cos(ra);
+    const y = Math.cos(dec) * Math.sin(ra);
+    const z = Math.sin(dec);
+
+    // 赤道座標 → 黄道座標（x軸まわりに黄道傾斜角だけ回す）→ シーン座標 (x, z, -y)
+    const yEcliptic = y * Math.cos(epsilon) + z * Math.sin(epsilon);
+    const zEcliptic = -y * Math.sin(epsilon) + z * Math.cos(epsilon);
+    return target.set(x, zEcliptic, -yEcliptic);
+}
+
+// 放物線・双曲線軌道の点列（真近点角で等分し、太陽から maxDistance までを描く）
+function openOrbitPoints(el, segments, maxDistance) {
+    const p = el.q * (1 + el.e); // 半直弦
+    const maxAnomaly = Math.acos(THREE.MathUtils.clamp((p / maxDistance - 1) / el.e, -1, 1));
+    const points = [];
+
+    for (let i = 0; i <= segments; i++) {
+        const nu = (i / segments * 2 - 1) * maxAnomaly;
+        const r = p / (1 + el.e * Math.cos(nu));
+        points.push(orbitalPlaneToScene(el, r * Math.cos(nu), r * Math.sin(nu), new THREE.Vector3()));
+    }
+    return points;
+}
+
+// 指定日時の軌道要素で描いた軌道一周分の点列（開いた軌道は近日点の前後）
+export function orbitPoints(elements, time, segments = 128) {
+    let el;
+    if (isCometaryElements(elements)) {
+        const cometary = cometaryElements(elements);
+        if (cometary.e >= 1) return openOrbitPoints(cometary, segments, OPEN_ORBIT_MAX_DISTANCE);
+        el = { ...cometary, a: cometary.q / (1 - cometary.e) };
+    } else {
+        el = elementsAt(elements, centuriesSinceJ2000(time));
+    }
+    const points = [];
+
+    for (let i = 0; i <= segments; i++) {
+        // 離心近点角で等分すると近日点付近も滑らかに描ける
+        const E = (i / segments) * Math.PI * 2;
+        points.push(positionFromEccentricAnomaly(el, E, new THREE.Vector3()));
+    }
+    return points;
+}
@@ -0,0 +1,274 @@
+// 天文現象の検索 - 日食・月食・水星と金星の太陽面通過・惑星どうしの合・外惑星の衝
+//
+// 表示と同じ軌道要素（ephemeris.js）で、地球から見た黄経の差が0（衝・月食は180°）になる時刻を
+// 1日刻みで探して二分法で絞り込み、見かけの離角や影の大きさから現象が起きるかを判定する。
+// 月・惑星は平均軌道要素なので、実際の時刻と数時間ずれたり、ぎりぎりの現象を見落としたりすることがある。
+import * as THREE from 'three';
+import { bodyHeliocentricPosition, AU_KM } from './ephemeris.js';
+import { t, getBodyName } from './i18n.js';
+
+const MS_PER_DAY = 86400000;
+const STEP_DAYS = 1; // 探す刻み（月の黄経の差は1日に約12°変わる）
+const SEARCH_YEARS = 250; // 探す範囲（金星の太陽面通過は100年以上起きないことがある）
+const REFINE_DAYS = 0.5; // 黄経の差が0の時刻の前後で離角が最小の時刻を探す幅
+
+// viewAngle: 現象を表示するとき、横から見る視点を太陽の側へ回す角度（度、負なら太陽と反対側）
+// 表示名は表の eventKind.<id>
+export const EVENT_KINDS = [
+    { id: 'solar-eclipse', viewAngle: 40 },
+    { id: 'lunar-eclipse', viewAngle: -40 },
+    { id: 'transit', viewAngle: 30 },
+    { id: 'conjunction', viewAngle: 0 },
+    { id: 'opposition', viewAngle: 0 }
+];
+
+export function getEventKind(id) {
+    return EVENT_KINDS.find(kind => kind.id === id) || null;
+}
+
+function toDegrees(radians) {
+    return THREE.MathUtils.radToDeg(radians);
+}
+
+// -180〜180° に寄せる
+function wrapDegrees(angle) {
+    return ((angle + 180) % 360 + 360) % 360 - 180;
+}
+
+// シーン座標 (x, z, -y) のベクトルの黄経（度）
+function longitude(vector) {
+    return toDegrees(Math.atan2(-vector.z, vector.x));
+}
+
+// [start, end] で f が最小になる時刻（黄金分割探索）
+function minimize(f, start, end, iterations = 40) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = start;
+    let b = end;
+    for (let i = 0; i < iterations; i++) {
+        const c = b - (b - a) * ratio;
+        const d = a + (b - a) * ratio;
+        if (f(c) < f(d)) {
+            b = d;
+        } else {
+            a = c;
+        }
+    }
+    return (a + b) / 2;
+}
+
+// f の符号が変わる [a, b] を二分法で絞り込む
+function findRoot(f, a, b, iterations = 30) {
+    let fa = f(a);
+    for (let i = 0; i < iterations; i++) {
+        const middle = (a + b) / 2;
+        const fm = f(middle);
+        if (Math.sign(fm) === Math.sign(fa)) {
+            a = middle;
+            fa = fm;
+        } else {
+            b = middle;
+        }
+    }
+    return (a + b) / 2;
+}
+
+class EventSearch {
+    constructor(catalog) {
+        this.bodies = catalog.bodies;
+        this.sun = catalog.root;
+        this.earth = this.bodies.get('earth');
+        this.moon = this.bodies.get('moon');
+        this.radiusAU = id => this.bodies.get(id).radiusKm / AU_KM;
+    }
+
+    // 地球から見た天体の位置（AU）
+    geocentric(body, time) {
+        const earth = bodyHeliocentricPosition(this.earth, this.bodies, time);
+        return bodyHeliocentricPosition(body, this.bodies, time).sub(earth);
+    }
+
+    // 地球から見た2天体の黄経の差（度）
+    elongation(a, b, time, offset = 0) {
+        return wrapDegrees(longitude(this.geocentric(a, time)) - longitude(this.geocentric(b, time)) - offset);
+    }
+
+    // 地球から見た2天体の離角（ラジアン）
+    separation(a, b, time) {
+        return this.geocentric(a, time).angleTo(this.geocentric(b, time));
+    }
+
+    // 黄経の差が0になる時刻ごとの監視対象 { f(time), classify(time) }
+    watchers(kind) {
+        const planets = [...this.bodies.values()].filter(body => body.type === 'planet' && body !== this.earth);
+        const isInner = planet => planet.elements.a < this.earth.elements.a;
+
+        switch (kind) {
+            case 'solar-eclipse':
+                return this.moon ? [{
+                    f: time => this.elongation(this.moon, this.sun, time),
+                    classify: time => this.classifySolarEclipse(time)
+                }] : [];
+            case 'lunar-eclipse':
+                return this.moon ? [{
+                    f: time => this.elongation(this.moon, this.sun, time, 180),
+                    classify: time => this.classifyLunarEclipse(time)
+                }] : [];
+            case 'transit':
+                return planets.filter(isInner).map(planet => ({
+                    f: time => this.elongation(planet, this.sun, time),
+                    classify: time => this.classifyTransit(planet, time)
+                }));
+            case 'conjunction':
+                return planets.flatMap((a, index) => planets.slice(index + 1).map(b => ({
+                    f: time => this.elongation(a, b, time),
+                    classify: time => this.conjunction(a, b, time)
+                })));
+            case 'opposition':
+                return planets.filter(planet => !isInner(planet)).map(planet => ({
+                    f: time => this.elongation(planet, this.sun, time, 180),
+                    classify: time => this.opposition(planet, time)
+                }));
+            default:
+                return [];
+        }
+    }
+
+    // 地球の中心から見た太陽・月の視半径と地平視差（ラジアン）
+    eclipseGeometry(time) {
+        const sun = this.geocentric(this.sun, time);
+        const moon = this.geocentric(this.moon, time);
+        const earthRadius = this.radiusAU(this.earth.id);
+        return {
+            sun: sun,
+            moon: moon,
+            sunRadius: Math.asin(this.radiusAU(this.sun.id) / sun.length()),
+            moonRadius: Math.asin(this.radiusAU(this.moon.id) / moon.length()),
+            sunParallax: Math.asin(earthRadius / sun.length()),
+            moonParallax: Math.asin(earthRadius / moon.length())
+        };
+    }
+
+    classifySolarEclipse(time) {
+        const peak = minimize(candidate => this.separation(this.moon, this.sun, candidate), time - REFINE_DAYS * MS_PER_DAY, time + REFINE_DAYS * MS_PER_DAY);
+        const g = this.eclipseGeometry(peak);
+        const separation = g.moon.angleTo(g.sun);
+
+        // 月の半影が地球のどこかに届くか、影の軸が地球に当たるか
+        if (separation > g.sunRadius + g.moonRadius + g.moonParallax - g.sunParallax) return null;
+
+        let title = t('event.partialSolar');
+        if (separation < g.moonParallax - g.sunParallax) {
+            title = t(g.moonRadius > g.sunRadius ? 'event.totalSolar' : 'event.annularSolar');
+        }
+        return {
+            time: peak,
+            title: title,
+            detail: t('event.sunMoonSeparation', { angle: toDegrees(separation).toFixed(2) }),
+            focusId: this.earth.id,
+            framedIds: [this.earth.id, this.moon.id]
+        };
+    }
+
+    classifyLunarEclipse(time) {
+        const peak = minimize(candidate => Math.PI - this.separation(this.moon, this.sun, candidate), time - REFINE_DAYS * MS_PER_DAY, time + REFINE_DAYS * MS_PER_DAY);
+        const g = this.eclipseGeometry(peak);
+        const separation = Math.PI - g.moon.angleTo(g.sun); // 地球の影の中心からの角距離
+
+        // 月の距離での地球の本影・半影の視半径（大気の分だけ2%大きくする）
+        const umbra = 1.02 * (g.moonParallax + g.sunParallax - g.sunRadius);
+        const penumbra = 1.02 * (g.moonParallax + g.sunParallax + g.sunRadius);
+
+        let title;
+        if (separation + g.moonRadius < umbra) {
+            title = t('event.totalLunar');
+        } else if (separation - g.moonRadius < umbra) {
+            title = t('event.partialLunar');
+        } else if (separation - g.moonRadius < penumbra) {
+            title = t('event.penumbralLunar');
+        } else {
+            return null;
+        }
+        return {
+            time: peak,
+            title: title,
+            detail: t('event.shadowSeparation', { angle: toDegrees(separation).toFixed(2) }),
+            focusId: this.earth.id,
+            framedIds: [this.earth.id, this.moon.id]
+        };
+    }
+
+    // 内合（地球と太陽の間）で惑星が太陽の円盤に重なるか
+    classifyTransit(planet, time) {
+        if (this.geocentric(planet, time).length() > this.geocentric(this.sun, time).length()) return null;
+
+        const peak = minimize(candidate => this.separation(planet, this.sun, candidate), time - REFINE_DAYS * MS_PER_DAY, time + REFINE_DAYS * MS_PER_DAY);
+        const sun = this.geocentric(this.sun, peak);
+        const separation = this.geocentric(planet, peak).angleTo(sun);
+        if (separation > Math.asin(this.radiusAU(this.sun.id) / sun.length())) return null;
+
+        return {
+            time: peak,
+            title: t('event.transit', { planet: getBodyName(planet) }),
+            detail: t('event.transitSeparation', { angle: (toDegrees(separation) * 60).toFixed(1) }),
+            focusId: this.earth.id,
+            framedIds: [this.earth.id, planet.id]
+        };
+    }
+
+    conjunction(a, b, time) {
+        return {
+            time: time,
+            title: t('event.conjunction', { a: getBodyName(a), b: getBodyName(b) }),
+            detail: t('event.separation', { angle: toDegrees(this.separation(a, b, time)).toFixed(2) }),
+            focusId: this.earth.id,
+            framedIds: [this.earth.id, a.id, b.id]
+        };
+    }
+
+    opposition(planet, time) {
+        return {
+            time: time,
+            title: t('event.opposition', { planet: getBodyName(planet) }),
+            detail: t('event.earthDistance', { distance: this.geocentric(planet, time).length().toFixed(3) }),
+            focusId: this.earth.id,
+            framedIds: [this.earth.id, planet.id]
+        };
+    }
+}
+
+// start（ミリ秒）から direction（1: 未来、-1: 過去）へ、近い順に最大 limit 件の現象を探す
+// 結果は { kind, time, title, detail, focusId, framedIds }（framedIds: 画面に収める天体）
+export function findEvents(catalog, kind, start, direction = 1, limit = 5) {
+    const search = new EventSearch(catalog);
+    const watchers = search.watchers(kind);
+    const events = [];
+    if (watchers.length === 0) return events;
+
+    const step = STEP_DAYS * MS_PER_DAY * direction;
+    const steps = Math.ceil(SEARCH_YEARS * 365.25 / STEP_DAYS);
+    let previous = watchers.map(watcher => watcher.f(start));
+
+    for (let i = 1; i <= steps && events.length < limit; i++) {
+        const t0 = start + step * (i - 1);
+        const t1 = start + step * i;
+        const found = [];
+
+        watchers.forEach((watcher, index) => {
+            const value = watcher.f(t1);
+            const last = previous[index];
+            previous[index] = value;
+
+            // ±180° をまたいだ折り返しは除く
+            if (Math.sign(value) === Math.sign(last) || Math.abs(value - last) > 90) return;
+
+            const event = watcher.classify(findRoot(watcher.f, t0, t1));
+            if (event) found.push({ kind: kind, ...event });
+        });
+
+        found.sort((a, b) => (a.time - b.time) * direction);
+        events.push(...found);
+    }
+
+    return events.slice(0, limit);
+}
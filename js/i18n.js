@@ -0,0 +1,80 @@
+// 表示する言語 - 画面に出す文字列は、言語ごとの表（locales/*.js）からキーで引く
+//
+// 表の値の {name} は t() の params で置き換える。今の言語の表にないキーは日本語の表の値、それもなければキーそのものを返す。
+// 天体の名前は、カタログの names（{ en: 'Earth' } など）、表の body.<ID>、カタログの name（既定のカタログは日本語）の順に探す。
+// HTMLの文字は data-i18n（文字）・data-i18n-title・data-i18n-placeholder 属性にキーを書き、translateElement() で入れ替える。
+import ja from './locales/ja.js';
+import en from './locales/en.js';
+
+export const LANGUAGES = [
+    { id: 'ja', label: '日本語', locale: 'ja-JP' },
+    { id: 'en', label: 'English', locale: 'en-US' }
+];
+
+export const DEFAULT_LANGUAGE = 'ja';
+
+const TABLES = { ja, en };
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+export function getLanguageInfo(id) {
+    return LANGUAGES.find(language => language.id === id) || null;
+}
+
+// ブラウザの言語設定（navigator.languages）の中で最初に使える言語（なければ既定の言語）
+export function detectLanguage(preferred = navigator.languages || [navigator.language]) {
+    const match = preferred
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(id => getLanguageInfo(id));
+    return match || DEFAULT_LANGUAGE;
+}
+
+export function getLanguage() {
+    return currentLanguage;
+}
+
+// 日付や数値の書式に使うロケール（'ja-JP' など）
+export function getLocale() {
+    return getLanguageInfo(currentLanguage).locale;
+}
+
+export function setLanguage(id) {
+    if (!getLanguageInfo(id)) {
+        throw new Error(t('error.unknownLanguage', { id }));
+    }
+    currentLanguage = id;
+}
+
+export function hasTranslation(key, language = currentLanguage) {
+    return TABLES[language][key] !== undefined;
+}
+
+export function t(key, params = {}) {
+    const text = TABLES[currentLanguage][key] ?? TABLES[DEFAULT_LANGUAGE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// 言語ごとに書ける文字列（'文字列' または { ja: '…', en: '…' }）から今の言語のものを選ぶ
+export function localize(value) {
+    if (value === null || typeof value !== 'object') return value;
+    return value[currentLanguage] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0];
+}
+
+// data: カタログの天体（id、name、names）
+export function getBodyName(data) {
+    if (data.names?.[currentLanguage]) return data.names[currentLanguage];
+    const key = `body.${data.id}`;
+    return hasTranslation(key) ? t(key) : data.name;
+}
+
+export function translateElement(root) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach((element) => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
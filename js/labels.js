@@ -0,0 +1,289 @@
+// 天体の名前ラベル - PCではHTMLの重ね表示、XRではカメラを向く板（Sprite）に描いた文字
+//
+// 毎フレーム天体の位置を画面へ投影し、優先度の高い順に置いて他のラベルと重なるものは隠す。
+// カメラから遠い天体と、親天体に画面上で重なるほど近い衛星のラベルは薄くなる。
+// 文字の大きさは画面上（XRでは視角）で一定なので、太陽系をどれだけ拡大縮小しても読める。
+import * as THREE from 'three';
+import { getBodyName } from './i18n.js';
+
+// 表示を切り替えられる分類（天体の type、切り替えの表示名は表の labelToggle.<id>）。恒星のラベルは常に表示する
+export const LABEL_CATEGORIES = [
+    { id: 'planet' },
+    { id: 'dwarf' },
+    { id: 'moon' },
+    { id: 'comet' }
+];
+
+const CATEGORY_PRIORITY = ['star', 'planet', 'dwarf', 'comet', 'moon']; // 重なったとき残す順
+const HTML_LABEL_HEIGHT = 16; // PCのラベルの高さ（px、重なり判定用）
+const XR_LABEL_ANGLE = 0.03; // XRのラベルの文字の高さ（視角、ラジアン）
+const XR_FONT_SIZE = 48; // XRのラベルを描くキャンバスの文字の大きさ（px）
+const FADE_SPEED = 6; // 表示・非表示の切り替えの速さ（1秒あたりの不透明度の変化）
+
+// XR用の文字を描いた Sprite（高さ1、幅は文字数に合わせる）
+export function createTextSprite(text) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = `bold ${XR_FONT_SIZE}px Arial, sans-serif`;
+
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width + XR_FONT_SIZE * 0.5);
+    canvas.height = Math.ceil(XR_FONT_SIZE * 1.4);
+
+    // キャンバスの大きさを変えると設定が消えるので描く前に設定し直す
+    context.font = font;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = XR_FONT_SIZE * 0.15;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    context.strokeText(text, canvas.width / 2, canvas.height / 2);
+    context.fillStyle = '#ffffff';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthTest: false, // 天体に隠れても読めるようにする
+        depthWrite: false
+    }));
+    sprite.userData.aspect = canvas.width / canvas.height;
+    sprite.renderOrder = 5; // 天体より手前、XRの情報パネルより奥
+    sprite.raycast = () => {};
+    sprite.visible = false;
+    return sprite;
+}
+
+function overlaps(a, b) {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+export class BodyLabels {
+    // overlay: PCのラベルを入れる要素、scene: XRのラベルを置くシーン
+    // isShown(id): 天体が表示されているか（親のグループごと隠した天体はメッシュの visible だけでは分からない）
+    constructor(overlay, scene, isShown = () => true) {
+        this.overlay = overlay;
+        this.isShown = isShown;
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this.labels = [];
+        this.hiddenCategories = new Set();
+        this.highlightedId = null; // 選択中の天体（重なっても優先して表示する）
+    }
+
+    // data: カタログの天体、object: ラベルを付ける天体のメッシュ、parentObject: 親天体のメッシュ
+    add(data, object, parentObject = null) {
+        const element = document.createElement('div');
+        element.className = `label label-${data.type}`;
+        element.textContent = getBodyName(data);
+        element.style.opacity = 0;
+        this.overlay?.appendChild(element);
+
+        const sprite = createTextSprite(getBodyName(data));
+        this.group.add(sprite);
+
+        this.labels.push({
+            id: data.id,
+            data: data,
+            category: data.type,
+            priority: CATEGORY_PRIORITY.indexOf(data.type),
+            radiusKm: data.radiusKm,
+            object: object,
+            parentObject: parentObject,
+            element: element,
+            sprite: sprite,
+            opacity: 0
+        });
+
+        // 分類の優先度、同じ分類なら大きい天体を先に置く
+        this.labels.sort((a, b) => a.priority - b.priority || b.radiusKm - a.radiusKm);
+    }
+
+    // 表示する言語が変わったら名前を書き直す
+    updateNames() {
+        this.labels.forEach((label) => {
+            const name = getBodyName(label.data);
+            label.element.textContent = name;
+            label.elementWidth = 0;
+
+            const sprite = createTextSprite(name);
+            sprite.visible = label.sprite.visible;
+            label.sprite.removeFromParent();
+            label.sprite.material.map.dispose();
+            label.sprite.material.dispose();
+            label.sprite = sprite;
+            this.group.add(sprite);
+        });
+    }
+
+    clear() {
+        this.labels.forEach(({ element, sprite }) => {
+            element.remove();
+            sprite.removeFromParent();
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        });
+        this.labels = [];
+    }
+
+    setCategoryVisible(category, visible) {
+        if (visible) {
+            this.hiddenCategories.delete(category);
+        } else {
+            this.hiddenCategories.add(category);
+        }
+    }
+
+    isCategoryVisible(category) {
+        return !this.hiddenCategories.has(category);
+    }
+
+    // camera: 描画に使うカメラ（XRでは renderer.xr.getCamera()）
+    // viewport: PCの描画領域の { width, height }（px）、isXR: Sprite で表示するか
+    // fadeDistance: これより遠い天体のラベルは見えなくなる（ワールド座標の距離）
+    update(camera, viewport, isXR, deltaTime, fadeDistance) {
+        if (this.overlay) this.overlay.hidden = isXR;
+
+        const cameraPosition = camera.getWorldPosition(new THREE.Vector3());
+        const cameraQuaternion = camera.getWorldQuaternion(new THREE.Quaternion());
+        const cameraUp = new THREE.Vector3(0, 1, 0).applyQuaternion(cameraQuaternion);
+        const projection = camera.projectionMatrix.elements;
+
+        // 画面上の大きさの単位（PCは px、XRは正規化デバイス座標を px 相当に揃える）
+        const halfWidth = isXR ? 500 : viewport.width / 2;
+        const halfHeight = isXR ? 500 : viewport.height / 2;
+        const labelHeight = isXR ? XR_LABEL_ANGLE * projection[5] * halfHeight : HTML_LABEL_HEIGHT;
+
+        const bodyPosition = new THREE.Vector3();
+        const parentPosition = new THREE.Vector3();
+        const projected = new THREE.Vector3();
+        const placed = [];
+
+        const ordered = this.highlightedId
+            ? [...this.labels].sort((a, b) => (b.id === this.highlightedId) - (a.id === this.highlightedId))
+            : this.labels;
+
+        ordered.forEach((label) => {
+            let target = 0;
+            let screen = null;
+
+            label.object.getWorldPosition(bodyPosition);
+            const distance = bodyPosition.distanceTo(cameraPosition);
+            const worldRadius = label.object.getWorldScale(projected).x;
+            projected.copy(bodyPosition).project(camera);
+
+            const isOnScreen = projected.z < 1 && Math.abs(projected.x) < 1.2 && Math.abs(projected.y) < 1.2;
+            const isShown = this.isCategoryVisible(label.category) && label.object.visible && this.isShown(label.id);
+            if (isShown && isOnScreen) {
+                // 天体の見かけの半径だけ上にずらした位置（画面の上方向が正）
+                const radiusOnScreen = worldRadius / distance * projection[5] * halfHeight;
+                const width = isXR ? labelHeight * label.sprite.userData.aspect : this.getElementWidth(label);
+
+                screen = {
+                    x: projected.x * halfWidth,
+                    y: projected.y * halfHeight + radiusOnScreen + labelHeight * 0.7
+                };
+                const rect = {
+                    left: screen.x - width / 2,
+                    right: screen.x + width / 2,
+                    top: screen.y - labelHeight / 2,
+                    bottom: screen.y + labelHeight / 2
+                };
+
+                // 遠い天体、親天体に重なって見える衛星は薄くする
+                target = 1 - THREE.MathUtils.smoothstep(distance, fadeDistance * 0.5, fadeDistance);
+                if (label.parentObject) {
+                    label.parentObject.getWorldPosition(parentPosition).project(camera);
+                    const separation = Math.hypot(
+                        (projected.x - parentPosition.x) * halfWidth,
+                        (projected.y - parentPosition.y) * halfHeight
+                    );
+                    target *= THREE.MathUtils.smoothstep(separation, labelHeight, labelHeight * 2.5);
+                }
+
+                if (target > 0.05 && placed.some(other => overlaps(rect, other))) {
+                    target = 0;
+                } else if (target > 0.05) {
+                    placed.push(rect);
+                }
+            }
+
+            // 急に出たり消えたりしないよう不透明度をなめらかに変える
+            const step = FADE_SPEED * deltaTime;
+            label.opacity = THREE.MathUtils.clamp(target, label.opacity - step, label.opacity + step);
+            label.screen = screen;
+
+            if (isXR) {
+                this.updateSprite(label, bodyPosition, distance, worldRadius, cameraUp);
+                label.element.style.opacity = 0;
+            } else {
+                label.sprite.visible = false;
+                this.updateElement(label, screen, viewport);
+            }
+        });
+    }
+
+    // HTMLのラベルの幅（文字は変わらないので一度測った値を使い回す）
+    getElementWidth(label) {
+        if (!label.elementWidth) label.elementWidth = label.element.offsetWidth;
+        return label.elementWidth || label.element.textContent.length * HTML_LABEL_HEIGHT * 0.75;
+    }
+
+    updateElement(label, screen, viewport) {
+        const style = label.element.style;
+        if (!screen || label.opacity <= 0) {
+            style.opacity = 0;
+            return;
+        }
+
+        const x = screen.x + viewport.width / 2;
+        const y = viewport.height / 2 - screen.y;
+        style.transform = `translate(-50%, -50%) translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+        style.opacity = label.opacity.toFixed(2);
+        label.element.classList.toggle('highlighted', label.id === this.highlightedId);
+    }
+
+    // PCのラベルをキャンバスに描く（画像の保存用。見た目は index.html の .label に合わせる）
+    // viewport: update() に渡した大きさ、pixelRatio: viewport の1pxをキャンバスの何pxにするか
+    draw(ctx, viewport, pixelRatio) {
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = '#000';
+        ctx.shadowBlur = 3 * pixelRatio;
+
+        this.labels.forEach((label) => {
+            if (!label.screen || label.opacity <= 0) return;
+
+            const isHighlighted = label.id === this.highlightedId;
+            const isSmall = label.category === 'moon' || label.category === 'comet';
+            const size = (isSmall ? 11 : 12) * pixelRatio;
+            ctx.font = `${isHighlighted ? 'bold ' : ''}${size}px Arial, sans-serif`;
+            ctx.fillStyle = isHighlighted ? '#99ddff' : isSmall ? '#cccccc' : '#ffffff';
+            ctx.globalAlpha = label.opacity;
+
+            const x = (label.screen.x + viewport.width / 2) * pixelRatio;
+            const y = (viewport.height / 2 - label.screen.y) * pixelRatio;
+            // 影を2回重ねて text-shadow の縁取りに近づける
+            ctx.fillText(label.element.textContent, x, y);
+            ctx.fillText(label.element.textContent, x, y);
+        });
+        ctx.restore();
+    }
+
+    // 視角が一定になるよう距離に比例した大きさにし、天体の上（視点から見た上方向）に置く
+    updateSprite(label, bodyPosition, distance, worldRadius, cameraUp) {
+        const sprite = label.sprite;
+        sprite.visible = label.opacity > 0;
+        if (!sprite.visible) return;
+
+        const height = distance * XR_LABEL_ANGLE;
+        sprite.scale.set(height * sprite.userData.aspect, height, 1);
+        sprite.position.copy(bodyPosition).addScaledVector(cameraUp, worldRadius + height * 0.7);
+        sprite.material.opacity = label.opacity;
+        sprite.material.color.setHex(label.id === this.highlightedId ? 0x99ddff : 0xffffff);
+    }
+}
@@ -0,0 +1,279 @@
+// 英語の表（ないキーは ja.js の日本語を使う）
+export default {
+    'page.title': 'WebXR Solar System Viewer',
+
+    // 画面の操作
+    'ui.language': 'Language',
+    'ui.place': 'Place again',
+    'ui.reverse': 'Reverse',
+    'ui.forward': 'Forward',
+    'ui.pause': 'Pause',
+    'ui.play': 'Play',
+    'ui.speed': 'Playback speed',
+    'ui.now': 'Now',
+    'ui.goToDate': 'Go to date',
+    'ui.eventKind': 'Event to search for',
+    'ui.previousEvent': 'Find previous',
+    'ui.nextEvent': 'Find next',
+    'ui.scaleMode': 'Display scale',
+    'ui.focus': 'Focus (number keys: 1-9 planets, 0 overview)',
+    'ui.orbits': 'Orbits',
+    'ui.axes': 'Axes',
+    'ui.trails': 'Trails',
+    'ui.loadCatalog': 'Load catalog',
+    'ui.copyLink': 'Copy link',
+    'ui.copyLinkTitle': 'Link including the date, viewpoint and display settings',
+    'ui.tour': 'Tour',
+    'ui.tourTitle': 'Step through the Solar System with explanations',
+    'ui.loadTour': 'Load tour',
+    'ui.loadingTextures': 'Loading textures… {loaded} / {total}',
+
+    'help.pc': 'PC: drag to rotate, wheel to zoom, right-drag to pan, click a body to select it, number keys to focus (0 for overview)',
+    'help.quest': 'Quest: trigger to select a body, grip to grab and move, grip with both hands to scale and rotate, turn your left wrist for the menu',
+    'help.vrMove': 'Moving in VR: left stick flies where you look (press in to go faster), right stick left/right turns, A button jumps next to the selected body, hold B and move the right stick up/down to scale (AR: right stick up/down only)',
+    'help.hands': 'Hand tracking: pinch to select and grab, pinch with both hands to scale and rotate, press panel buttons with your fingertip',
+    'help.ar': 'AR: tap the circle shown on a surface (trigger or pinch) to place, "Place again" or the A/X button to move it',
+    'help.capture': 'Save: frame sequences can be made into a video (e.g. ffmpeg -framerate 30 -i frame_%04d.png -pix_fmt yuv420p solar-system.mp4)',
+    'help.sharing': 'Sharing: everyone who presses "Join" follows the date, view and settings of the person who pressed "Start presenting" with the same room name (relay server: node server/relay.mjs)',
+
+    'speed.realtime': 'Real time',
+    'speed.day': '1 day/s',
+    'speed.month': '1 month/s',
+    'speed.year': '1 year/s',
+    'speed.custom': '{rate} s/s',
+
+    'scaleMode.true': 'True scale',
+    'scaleMode.compressed': 'Compressed distances',
+    'scaleMode.educational': 'Enlarged bodies',
+    'scaleInfo.trueScale': 'True proportions for both distances and sizes',
+    'scaleInfo.logDistance': 'distances compressed logarithmically',
+    'scaleInfo.linearDistance': 'true distance proportions',
+    'scaleInfo.bodySize': 'planets and moons ×{factor}',
+    'scaleInfo.sunSize': 'Sun ×{factor}',
+    'scaleInfo.moonDistance': 'moon distances compressed',
+    'list.separator': ', ',
+
+    'belt.asteroids': 'Asteroid belt',
+    'belt.kuiper': 'Kuiper belt',
+    'beltCount.asteroids': 'Asteroid belt particles',
+    'beltCount.kuiper': 'Kuiper belt particles',
+    'labelToggle.planet': 'Planet names',
+    'labelToggle.dwarf': 'Dwarf planet names',
+    'labelToggle.moon': 'Moon names',
+    'labelToggle.comet': 'Comet names',
+
+    'focus.overview': 'Whole Solar System',
+
+    // 天体の名前（カタログの name は日本語）
+    'body.sun': 'Sun',
+    'body.mercury': 'Mercury',
+    'body.venus': 'Venus',
+    'body.earth': 'Earth',
+    'body.moon': 'Moon',
+    'body.mars': 'Mars',
+    'body.phobos': 'Phobos',
+    'body.deimos': 'Deimos',
+    'body.ceres': 'Ceres',
+    'body.jupiter': 'Jupiter',
+    'body.io': 'Io',
+    'body.europa': 'Europa',
+    'body.ganymede': 'Ganymede',
+    'body.callisto': 'Callisto',
+    'body.saturn': 'Saturn',
+    'body.titan': 'Titan',
+    'body.uranus': 'Uranus',
+    'body.neptune': 'Neptune',
+    'body.triton': 'Triton',
+    'body.pluto': 'Pluto',
+    'body.charon': 'Charon',
+    'body.haumea': 'Haumea',
+    'body.makemake': 'Makemake',
+    'body.eris': 'Eris',
+    'body.halley': 'Halley\'s Comet',
+    'body.hale-bopp': 'Comet Hale-Bopp',
+    'body.encke': 'Comet Encke',
+    'body.borisov': 'Comet Borisov',
+
+    // 天体の情報
+    'info.close': 'Close',
+    'info.focus': 'Focus on this body',
+    'info.radius': 'Radius',
+    'info.perihelion': 'Perihelion distance',
+    'info.semiMajorAxis': 'Semi-major axis',
+    'info.orbitalPeriod': 'Orbital period',
+    'info.rotationPeriod': 'Rotation period',
+    'info.retrograde': ' (retrograde)',
+    'info.obliquity': 'Axial tilt',
+    'info.eccentricity': 'Eccentricity',
+    'info.sunDistance': 'Distance from the Sun',
+    'unit.hours': '{value} hours',
+    'unit.days': '{value} days',
+    'unit.years': '{value} years',
+
+    // 現象の検索
+    'eventKind.solar-eclipse': 'Solar eclipses',
+    'eventKind.lunar-eclipse': 'Lunar eclipses',
+    'eventKind.transit': 'Transits of Mercury and Venus',
+    'eventKind.conjunction': 'Planetary conjunctions',
+    'eventKind.opposition': 'Oppositions of outer planets',
+    'event.searching': 'Searching…',
+    'event.notFound': 'Nothing found',
+    'event.message': '{title} ({time})\n{detail}',
+    'event.partialSolar': 'Partial solar eclipse',
+    'event.totalSolar': 'Total solar eclipse',
+    'event.annularSolar': 'Annular solar eclipse',
+    'event.sunMoonSeparation': 'Sun-Moon separation {angle}°',
+    'event.totalLunar': 'Total lunar eclipse',
+    'event.partialLunar': 'Partial lunar eclipse',
+    'event.penumbralLunar': 'Penumbral lunar eclipse',
+    'event.shadowSeparation': 'Separation from the shadow center {angle}°',
+    'event.transit': 'Transit of {planet}',
+    'event.transitSeparation': 'Separation from the Sun\'s center {angle}′',
+    'event.conjunction': 'Conjunction of {a} and {b}',
+    'event.separation': 'Separation {angle}°',
+    'event.opposition': 'Opposition of {planet}',
+    'event.earthDistance': 'Distance from Earth {distance} AU',
+
+    // XR
+    'xr.exit': 'Exit {mode}',
+    'xr.noWebXR': 'This browser does not support WebXR',
+    'xr.needsHttps': 'Open this page over HTTPS to use WebXR',
+    'xr.unsupported': 'This device or browser does not support {mode}',
+    'xr.startFailed': 'Could not start {mode} ({reason})',
+    'xr.teleport': 'Go',
+    'menu.speed': 'Speed {speed}',
+    'menu.reversed': ' (reversed)',
+    'menu.paused': ' · paused',
+    'menu.slower': 'Slower',
+    'menu.faster': 'Faster',
+    'menu.labels': 'Names',
+    'menu.reset': 'Reset',
+    'menu.focusPage': 'Focus ({page}/{count})',
+    'menu.rejoin': 'Follow presenter',
+    'menu.exitXR': 'Exit XR',
+
+    // 共有
+    'share.copied': 'Copied a link to this view',
+    'share.copyFailed': 'Could not copy the link. Use this URL instead\n{url}',
+    'sharing.room': 'Room',
+    'sharing.roomTitle': 'See the same view as everyone with the same room name',
+    'sharing.name': 'Name',
+    'sharing.key': 'Presenter key (optional)',
+    'sharing.keyTitle': 'Set when you start presenting so that only people who know the key can present in this room',
+    'sharing.present': 'Start presenting',
+    'sharing.presentTitle': 'Show your view to everyone in the room',
+    'sharing.join': 'Join',
+    'sharing.joinTitle': 'Follow the presenter\'s view',
+    'sharing.detach': 'Look around',
+    'sharing.rejoin': 'Back to presenter\'s view',
+    'sharing.leave': 'Leave',
+    'sharing.connecting': 'Connecting…',
+    'sharing.reconnecting': 'Connection lost - reconnecting…',
+    'sharing.presenting': 'Presenting ({count} people)',
+    'sharing.joined': 'Joined ({count} people) - {presenter}',
+    'sharing.waiting': 'waiting for a presenter',
+    'sharing.detached': 'looking around freely',
+    'sharing.following': 'following the presenter',
+    'sharing.defaultName': 'Guest {id}',
+    'sharing.error.presenter-taken': 'This room already has a presenter. You joined as a participant',
+    'sharing.error.presenter-key': 'Wrong presenter key. You joined as a participant',
+
+    // ツアー
+    'tour.defaultTitle': 'Tour',
+    'tour.previous': 'Previous',
+    'tour.next': 'Next',
+    'tour.previousArrow': '◀ Previous',
+    'tour.nextArrow': 'Next ▶',
+    'tour.end': 'Finish',
+    'tour.autoplay': 'Autoplay',
+    'tour.stopAutoplay': 'Stop autoplay',
+    'tour.close': 'End tour',
+    'tour.loadFailed': 'Could not load the tour: {url} ({reason})',
+    'tour.invalidJson': 'The tour JSON is invalid: {url} ({reason})',
+    'tour.notObject': 'A tour must be an object',
+    'tour.invalid': 'The tour has problems',
+    'tour.noSteps': 'steps must be an array of one or more steps',
+    'tour.notArray': '{label} must be an array',
+    'tour.unknownId': '{label}: unknown ID: {id}',
+    'tour.stepNotObject': '{label}: a step must be an object',
+    'tour.invalidCaption': '{label}: caption must be a non-empty string or per-language strings',
+    'tour.invalidTitle': '{label} must be a string or per-language strings',
+    'tour.invalidFocus': '{label}: focus must be a body ID or null ({focus})',
+    'tour.invalidCamera': '{label}: camera must be a non-zero [x, y, z]',
+    'tour.invalidDate': '{label}: date must be a date-time string',
+    'tour.invalidRate': '{label}: rate must be a number within ±100 years per second',
+    'tour.unknownScale': '{label}: unknown display scale mode: {scale}',
+    'tour.invalidFlag': '{label}: {key} must be true or false',
+    'tour.invalidDuration': '{label}: duration must be a positive number',
+
+    // 画像の保存
+    'capture.width': 'Width of the saved image (px)',
+    'capture.height': 'Height of the saved image (px)',
+    'capture.screenshot': 'Save image',
+    'capture.screenshotTitle': 'Save the current view as a PNG of this size',
+    'capture.start': 'Export start date',
+    'capture.end': 'Export end date',
+    'capture.step': 'Time advanced per frame',
+    'capture.export': 'Export frames',
+    'capture.exportTitle': 'Save a ZIP of PNG frames stepping through the period at a fixed interval',
+    'capture.cancel': 'Cancel',
+    'capture.progress': 'Exporting {done} / {count}',
+    'capture.cancelled': 'Export cancelled',
+    'capture.inXR': 'Images cannot be saved while in XR',
+    'capture.busy': 'Frames are being exported. Wait for it to finish or cancel it',
+    'capture.invalidSize': 'Image width and height must be integers from 16 to {max} ({width}×{height})',
+    'capture.invalidRange': 'Invalid export period (the end date must not be before the start date)',
+    'capture.invalidStep': 'Invalid frame interval: {step}',
+    'capture.tooManyFrames': 'Too many frames ({count}, up to {max}). Use a longer interval or a shorter period',
+    'capture.blobFailed': 'Could not create the image (it may be too large)',
+    'capture.tooLarge': 'The exported images are too large (about {size} MB, {max} MB at most). Reduce the resolution or the number of frames',
+    'capture.zipTooLarge': 'The exported images are too large (4 GB in total at most). Reduce the resolution or the number of frames',
+    'exportStep.hour': '1 hour/frame',
+    'exportStep.day': '1 day/frame',
+    'exportStep.week': '1 week/frame',
+    'exportStep.month': '1 month/frame',
+
+    // カタログ
+    'catalog.loadFailed': 'Could not load the catalog: {url} ({reason})',
+    'catalog.invalidJson': 'The catalog JSON is invalid: {url} ({reason})',
+    'catalog.invalid': 'The catalog has problems',
+    'catalog.noBodies': 'A catalog needs a bodies array',
+    'catalog.extraNoBodies': 'An additional catalog needs a bodies array',
+    'catalog.bodyLabel': 'bodies[{index}] ({id})',
+    'catalog.notObject': '{label} must be an object',
+    'catalog.notArray': '{label} must be an array',
+    'catalog.oneOf': '{label} must be one of {values}',
+    'catalog.stringOrNull': '{label} must be a string or null',
+    'catalog.nonZero': '{label} must be a non-zero number',
+    'catalog.opacity': '{label} must be between 0 and 1',
+    'catalog.color': '{label} must be in "#rrggbb" format',
+    'catalog.invalidId': '{label}: id must be a string of lowercase letters, digits, - and _',
+    'catalog.duplicateId': '{label}: duplicate id',
+    'catalog.noName': '{label}: name is missing',
+    'catalog.invalidNames': '{label}: names must map language IDs to non-empty names (e.g. { "en": "…" })',
+    'catalog.invalidRadius': '{label}: radiusKm (radius in km) must be a positive number',
+    'catalog.invalidPole': '{label}: pole must be { ra, dec } (degrees, dec from -90 to 90)',
+    'catalog.starParent': '{label}: a star cannot have a parent',
+    'catalog.noParent': '{label}: parent (the parent body\'s id) is missing',
+    'catalog.noElements': '{label}: elements (orbital elements) are missing',
+    'catalog.elementNotNumber': '{label}: elements.{key} must be a number',
+    'catalog.elementPositive': '{label}: elements.{key} must be a positive number',
+    'catalog.ellipticE': '{label}: elements.e must be at least 0 and less than 1',
+    'catalog.cometE': '{label}: elements.e must be at least 0',
+    'catalog.invalidRate': '{label}: elements.rates.{key} is invalid',
+    'catalog.invalidTail': '{label}: tail must be { length } (a positive number in AU)',
+    'catalog.ringRadius': '{label}: must satisfy 0 < innerRadius < outerRadius',
+    'catalog.starCount': 'Exactly one star (type: "star") is required ({count} found)',
+    'catalog.parentNotFound': '{id}: parent body "{parent}" not found',
+    'catalog.cometParent': '{id}: the parent of a comet must be a star',
+    'catalog.framePole': '{id}: frame "equatorial" needs a pole on the parent body "{parent}"',
+    'catalog.cycle': '{id}: the parent hierarchy is circular',
+
+    // そのほかのエラー
+    'error.unknownLanguage': 'Unknown language: {id}',
+    'error.unknownBody': 'Unknown body: {id}',
+    'error.unknownScaleMode': 'Unknown display scale mode: {id}',
+    'error.invalidRate': 'Invalid playback rate: {rate}',
+    'error.invalidMenuHand': 'The menu hand must be left or right: {hand}',
+    'error.invalidDate': 'Invalid date: {time}'
+};
@@ -0,0 +1,250 @@
+// 日本語の表（キーが見つからないときはどの言語でもこの表を使うので、すべてのキーを持たせる）
+// 天体の名前はカタログの name（日本語）を使うので、body.<ID> は持たない
+export default {
+    'page.title': 'WebXR 太陽系ビューワー',
+
+    // 画面の操作
+    'ui.language': '言語',
+    'ui.place': '置き直す',
+    'ui.reverse': '逆再生',
+    'ui.forward': '順再生',
+    'ui.pause': '一時停止',
+    'ui.play': '再生',
+    'ui.speed': '再生速度',
+    'ui.now': '現在',
+    'ui.goToDate': '指定日へ移動',
+    'ui.eventKind': '探す現象',
+    'ui.previousEvent': '前を探す',
+    'ui.nextEvent': '次を探す',
+    'ui.scaleMode': '表示スケール',
+    'ui.focus': 'フォーカス（数字キー: 1〜9 惑星、0 全体）',
+    'ui.orbits': '軌道',
+    'ui.axes': '自転軸',
+    'ui.trails': '軌跡',
+    'ui.loadCatalog': 'カタログ読込',
+    'ui.copyLink': 'リンクをコピー',
+    'ui.copyLinkTitle': '日時・視点・表示の設定を含むリンク',
+    'ui.tour': 'ツアー',
+    'ui.tourTitle': '説明つきで順に見ていく',
+    'ui.loadTour': 'ツアー読込',
+    'ui.loadingTextures': 'テクスチャ読み込み中… {loaded} / {total}',
+
+    'help.pc': 'PC: マウスドラッグで回転、ホイールでズーム、右クリック+ドラッグでパン、クリックで天体を選択、数字キーでフォーカス（0で全体）',
+    'help.quest': 'Quest: トリガーで天体を選択、グリップで掴んで移動、両手グリップで拡大縮小・回転、左手首を向けるとメニュー',
+    'help.vrMove': 'VRでの移動: 左スティックで視線の方向へ飛ぶ（押し込むと高速）、右スティック左右で向きを変える、Aボタンで選択中の天体のそばへ、Bボタンを押しながら右スティック上下でスケール調整（ARは右スティック上下のみ）',
+    'help.hands': 'ハンドトラッキング: ピンチで天体を選択・掴んで移動、両手ピンチで拡大縮小・回転、指先でパネルのボタンを押す',
+    'help.ar': 'AR: 平面に表示される円をタップ（トリガー・ピンチ）して配置、「置き直す」またはA/Xボタンで配置し直し',
+    'help.capture': '保存: 連番画像は動画にできる（例: ffmpeg -framerate 30 -i frame_%04d.png -pix_fmt yuv420p solar-system.mp4）',
+    'help.sharing': '共有: 同じ部屋名で「発表者として開始」した人の日時・視点・表示に「参加」した人が合わせる（中継サーバー: node server/relay.mjs）',
+
+    'speed.realtime': '実時間',
+    'speed.day': '1日/秒',
+    'speed.month': '1ヶ月/秒',
+    'speed.year': '1年/秒',
+    'speed.custom': '{rate}秒/秒',
+
+    'scaleMode.true': '実スケール',
+    'scaleMode.compressed': '距離圧縮',
+    'scaleMode.educational': '大きさ拡大',
+    'scaleInfo.trueScale': '距離・大きさとも実際の比率',
+    'scaleInfo.logDistance': '距離は対数で圧縮',
+    'scaleInfo.linearDistance': '距離は実際の比率',
+    'scaleInfo.bodySize': '惑星・衛星の大きさ ×{factor}',
+    'scaleInfo.sunSize': '太陽の大きさ ×{factor}',
+    'scaleInfo.moonDistance': '衛星の距離は圧縮',
+    'list.separator': '、',
+
+    'belt.asteroids': '小惑星帯',
+    'belt.kuiper': 'カイパーベルト',
+    'beltCount.asteroids': '小惑星帯の粒子数',
+    'beltCount.kuiper': 'カイパーベルトの粒子数',
+    'labelToggle.planet': '惑星名',
+    'labelToggle.dwarf': '準惑星名',
+    'labelToggle.moon': '衛星名',
+    'labelToggle.comet': '彗星名',
+
+    'focus.overview': '太陽系全体',
+
+    // 天体の情報
+    'info.close': '閉じる',
+    'info.focus': 'この天体にフォーカス',
+    'info.radius': '半径',
+    'info.perihelion': '近日点距離',
+    'info.semiMajorAxis': '軌道長半径',
+    'info.orbitalPeriod': '公転周期',
+    'info.rotationPeriod': '自転周期',
+    'info.retrograde': '（逆行）',
+    'info.obliquity': '自転軸の傾き',
+    'info.eccentricity': '離心率',
+    'info.sunDistance': '太陽からの距離',
+    'unit.hours': '{value} 時間',
+    'unit.days': '{value} 日',
+    'unit.years': '{value} 年',
+
+    // 現象の検索
+    'eventKind.solar-eclipse': '日食',
+    'eventKind.lunar-eclipse': '月食',
+    'eventKind.transit': '水星・金星の太陽面通過',
+    'eventKind.conjunction': '惑星どうしの合',
+    'eventKind.opposition': '外惑星の衝',
+    'event.searching': '検索中…',
+    'event.notFound': '見つかりませんでした',
+    'event.message': '{title}（{time}）\n{detail}',
+    'event.partialSolar': '部分日食',
+    'event.totalSolar': '皆既日食',
+    'event.annularSolar': '金環日食',
+    'event.sunMoonSeparation': '太陽と月の離角 {angle}°',
+    'event.totalLunar': '皆既月食',
+    'event.partialLunar': '部分月食',
+    'event.penumbralLunar': '半影月食',
+    'event.shadowSeparation': '影の中心からの離角 {angle}°',
+    'event.transit': '{planet}の太陽面通過',
+    'event.transitSeparation': '太陽の中心からの離角 {angle}′',
+    'event.conjunction': '{a}と{b}の合',
+    'event.separation': '離角 {angle}°',
+    'event.opposition': '{planet}の衝',
+    'event.earthDistance': '地球からの距離 {distance} AU',
+
+    // XR
+    'xr.exit': '{mode}を終了',
+    'xr.noWebXR': 'このブラウザはWebXRに対応していません',
+    'xr.needsHttps': 'WebXRを使うにはHTTPSで開いてください',
+    'xr.unsupported': 'この端末・ブラウザは{mode}に対応していません',
+    'xr.startFailed': '{mode}を開始できませんでした（{reason}）',
+    'xr.teleport': '移動',
+    'menu.speed': '速度 {speed}',
+    'menu.reversed': '（逆再生）',
+    'menu.paused': '・一時停止中',
+    'menu.slower': '遅く',
+    'menu.faster': '速く',
+    'menu.labels': '名前',
+    'menu.reset': 'リセット',
+    'menu.focusPage': 'フォーカス（{page}/{count}）',
+    'menu.rejoin': '発表者に戻る',
+    'menu.exitXR': 'XRを終了',
+
+    // 共有
+    'share.copied': 'この表示へのリンクをコピーしました',
+    'share.copyFailed': 'リンクをコピーできませんでした。次のURLを使ってください\n{url}',
+    'sharing.room': '部屋名',
+    'sharing.roomTitle': '同じ部屋名の人と同じ表示を見る',
+    'sharing.name': '名前',
+    'sharing.key': '発表者キー（任意）',
+    'sharing.keyTitle': '発表者として開始するときに付けると、同じキーを知っている人しか発表者になれない',
+    'sharing.present': '発表者として開始',
+    'sharing.presentTitle': '自分の表示を部屋の全員に見せる',
+    'sharing.join': '参加',
+    'sharing.joinTitle': '発表者の表示に合わせて見る',
+    'sharing.detach': '自由に見る',
+    'sharing.rejoin': '発表者の視点に戻る',
+    'sharing.leave': '退出',
+    'sharing.connecting': '接続中…',
+    'sharing.reconnecting': '接続が切れました - つなぎ直しています…',
+    'sharing.presenting': '発表中（{count}人）',
+    'sharing.joined': '参加中（{count}人）- {presenter}',
+    'sharing.waiting': '発表者を待っています',
+    'sharing.detached': '自由に見ています',
+    'sharing.following': '発表者に合わせています',
+    'sharing.defaultName': '参加者{id}',
+    'sharing.error.presenter-taken': 'この部屋にはすでに発表者がいます。参加者として入りました',
+    'sharing.error.presenter-key': '発表者キーが違います。参加者として入りました',
+
+    // ツアー
+    'tour.defaultTitle': 'ツアー',
+    'tour.previous': '前へ',
+    'tour.next': '次へ',
+    'tour.previousArrow': '◀ 前へ',
+    'tour.nextArrow': '次へ ▶',
+    'tour.end': '終了',
+    'tour.autoplay': '自動再生',
+    'tour.stopAutoplay': '自動再生を止める',
+    'tour.close': 'ツアーを終了',
+    'tour.loadFailed': 'ツアーを読み込めません: {url}（{reason}）',
+    'tour.invalidJson': 'ツアーのJSONが不正です: {url}（{reason}）',
+    'tour.notObject': 'ツアーはオブジェクトである必要があります',
+    'tour.invalid': 'ツアーに問題があります',
+    'tour.noSteps': 'steps は1つ以上のステップの配列である必要があります',
+    'tour.notArray': '{label} は配列である必要があります',
+    'tour.unknownId': '{label}: 不明なIDです: {id}',
+    'tour.stepNotObject': '{label}: ステップはオブジェクトである必要があります',
+    'tour.invalidCaption': '{label}: caption（説明文）は空でない文字列か、言語ごとの文字列である必要があります',
+    'tour.invalidTitle': '{label} は文字列か、言語ごとの文字列である必要があります',
+    'tour.invalidFocus': '{label}: focus は天体のIDまたは null である必要があります（{focus}）',
+    'tour.invalidCamera': '{label}: camera は0でない [x, y, z] である必要があります',
+    'tour.invalidDate': '{label}: date は日時の文字列である必要があります',
+    'tour.invalidRate': '{label}: rate は ±1秒あたり100年以内の数値である必要があります',
+    'tour.unknownScale': '{label}: 不明な表示スケールモードです: {scale}',
+    'tour.invalidFlag': '{label}: {key} は true か false である必要があります',
+    'tour.invalidDuration': '{label}: duration は正の数である必要があります',
+
+    // 画像の保存
+    'capture.width': '保存する画像の幅（px）',
+    'capture.height': '保存する画像の高さ（px）',
+    'capture.screenshot': '画像を保存',
+    'capture.screenshotTitle': '今の画面をこの大きさのPNGで保存',
+    'capture.start': '書き出しの開始日',
+    'capture.end': '書き出しの終了日',
+    'capture.step': '1コマで進める時間',
+    'capture.export': '連番画像を書き出す',
+    'capture.exportTitle': '期間を一定の間隔で進めた連番PNGをZIPで保存',
+    'capture.cancel': '中止',
+    'capture.progress': '書き出し中 {done} / {count}',
+    'capture.cancelled': '書き出しを中止しました',
+    'capture.inXR': 'XRの表示中は画像を保存できません',
+    'capture.busy': '連番画像を書き出しています。終わるまで待つか中止してください',
+    'capture.invalidSize': '画像の幅と高さは16〜{max}の整数で指定してください（{width}×{height}）',
+    'capture.invalidRange': '書き出す期間が不正です（終了日は開始日以降にしてください）',
+    'capture.invalidStep': '1コマの間隔が不正です: {step}',
+    'capture.tooManyFrames': 'コマ数が多すぎます（{count}コマ、{max}コマまで）。間隔を長くするか期間を短くしてください',
+    'capture.blobFailed': '画像を作れませんでした（大きすぎる可能性があります）',
+    'capture.tooLarge': '書き出す画像が大きすぎます（約{size} MB、{max} MBまで）。解像度かコマ数を減らしてください',
+    'capture.zipTooLarge': '書き出す画像が大きすぎます（合計4GBまで）。解像度かコマ数を減らしてください',
+    'exportStep.hour': '1時間/コマ',
+    'exportStep.day': '1日/コマ',
+    'exportStep.week': '1週間/コマ',
+    'exportStep.month': '1ヶ月/コマ',
+
+    // カタログ
+    'catalog.loadFailed': 'カタログを読み込めません: {url}（{reason}）',
+    'catalog.invalidJson': 'カタログのJSONが不正です: {url}（{reason}）',
+    'catalog.invalid': 'カタログに問題があります',
+    'catalog.noBodies': 'カタログには bodies 配列が必要です',
+    'catalog.extraNoBodies': '追加カタログには bodies 配列が必要です',
+    'catalog.bodyLabel': 'bodies[{index}]（{id}）',
+    'catalog.notObject': '{label} はオブジェクトである必要があります',
+    'catalog.notArray': '{label} は配列である必要があります',
+    'catalog.oneOf': '{label} は {values} のいずれかである必要があります',
+    'catalog.stringOrNull': '{label} は文字列または null である必要があります',
+    'catalog.nonZero': '{label} は0以外の数値である必要があります',
+    'catalog.opacity': '{label} は0〜1である必要があります',
+    'catalog.color': '{label} は "#rrggbb" 形式である必要があります',
+    'catalog.invalidId': '{label}: id は英小文字・数字・-・_ の文字列である必要があります',
+    'catalog.duplicateId': '{label}: id が重複しています',
+    'catalog.noName': '{label}: name がありません',
+    'catalog.invalidNames': '{label}: names は言語のIDと空でない名前の組（{ "en": "…" } など）である必要があります',
+    'catalog.invalidRadius': '{label}: radiusKm（半径 km）は正の数である必要があります',
+    'catalog.invalidPole': '{label}: pole は { ra, dec }（度、dec は -90〜90）である必要があります',
+    'catalog.starParent': '{label}: 恒星に parent は指定できません',
+    'catalog.noParent': '{label}: parent（親天体のid）がありません',
+    'catalog.noElements': '{label}: elements（軌道要素）がありません',
+    'catalog.elementNotNumber': '{label}: elements.{key} は数値である必要があります',
+    'catalog.elementPositive': '{label}: elements.{key} は正の数である必要があります',
+    'catalog.ellipticE': '{label}: elements.e は0以上1未満である必要があります',
+    'catalog.cometE': '{label}: elements.e は0以上である必要があります',
+    'catalog.invalidRate': '{label}: elements.rates.{key} が不正です',
+    'catalog.invalidTail': '{label}: tail は { length }（正の数、AU）である必要があります',
+    'catalog.ringRadius': '{label}: 0 < innerRadius < outerRadius である必要があります',
+    'catalog.starCount': '恒星（type: "star"）はちょうど1つ必要です（{count}個あります）',
+    'catalog.parentNotFound': '{id}: 親天体 "{parent}" が見つかりません',
+    'catalog.cometParent': '{id}: 彗星の親天体は恒星である必要があります',
+    'catalog.framePole': '{id}: frame が "equatorial" のときは親天体 "{parent}" に pole が必要です',
+    'catalog.cycle': '{id}: 親子関係が循環しています',
+
+    // そのほかのエラー
+    'error.unknownLanguage': '不明な言語です: {id}',
+    'error.unknownBody': '不明な天体です: {id}',
+    'error.unknownScaleMode': '不明な表示スケールモードです: {id}',
+    'error.invalidRate': '無効な再生速度です: {rate}',
+    'error.invalidMenuHand': 'メニューを付ける手は left か right で指定してください: {hand}',
+    'error.invalidDate': '無効な日時です: {time}'
+};
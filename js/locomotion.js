@@ -0,0 +1,128 @@
+// VRでの移動 - スティックでの飛行とスナップターン、移動中に視野の周りを暗くするビネット
+//
+// 利用者の位置（参照空間）は動かさず、太陽系（world）を逆向きに動かす。
+// 掴む・フォーカスなど他の操作も太陽系を動かしているので、同じ座標のまま組み合わせられる。
+import * as THREE from 'three';
+
+const DEAD_ZONE = 0.15; // スティックの遊び
+const SNAP_ANGLE = THREE.MathUtils.degToRad(30); // スナップターン1回の角度
+const SNAP_THRESHOLD = 0.7; // スナップターンを起こすスティックの倒し量（戻すまで次は起こさない）
+const VIGNETTE_RADIUS = 0.2; // ビネットの球の半径（m、ニアクリップより外）
+const VIGNETTE_FADE = 4; // ビネットの濃さが目標へ近づく速さ（1/秒）
+const VIGNETTE_TURN = 0.8; // スナップターン・移動した直後のビネットの濃さ
+
+const vignetteVertexShader = `
+varying vec3 vDirection;
+void main() {
+    vDirection = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// 視線の正面（-Z）からの角度で暗くする（inner より内側は透明、outer より外側は真っ暗）
+const vignetteFragmentShader = `
+uniform float intensity;
+uniform float inner;
+uniform float outer;
+varying vec3 vDirection;
+void main() {
+    float angle = acos(clamp(-normalize(vDirection).z, -1.0, 1.0));
+    float open = mix(outer, inner, intensity);
+    gl_FragColor = vec4(0.0, 0.0, 0.0, smoothstep(open * 0.6, open, angle) * min(intensity * 2.0, 1.0));
+}
+`;
+
+function applyDeadZone(value) {
+    return Math.abs(value) < DEAD_ZONE ? 0 : (value - Math.sign(value) * DEAD_ZONE) / (1 - DEAD_ZONE);
+}
+
+export class VRLocomotion {
+    // world: 利用者の代わりに動かすオブジェクト（太陽系）
+    constructor(world) {
+        this.world = world;
+        this.vignetteEnabled = true;
+        this.snapReady = true;
+        this.motion = 0; // このフレームの移動の強さ（0〜1、ビネットの目標の濃さ）
+        this.intensity = 0;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                intensity: { value: 0 },
+                inner: { value: THREE.MathUtils.degToRad(35) },
+                outer: { value: THREE.MathUtils.degToRad(90) }
+            },
+            vertexShader: vignetteVertexShader,
+            fragmentShader: vignetteFragmentShader,
+            side: THREE.BackSide,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.vignette = new THREE.Mesh(new THREE.SphereGeometry(VIGNETTE_RADIUS, 32, 16), material);
+        this.vignette.renderOrder = 1000; // 何よりも手前に描く
+        this.vignette.raycast = () => {};
+        this.vignette.visible = false;
+    }
+
+    // スティック（x: 右が正、y: 手前が正）で視線の方向へ飛ぶ（speed: 倒しきったときの m/秒）
+    // 動いたら true
+    fly(head, x, y, speed, deltaTime) {
+        const strafe = applyDeadZone(x);
+        const forward = -applyDeadZone(y);
+        if (strafe === 0 && forward === 0) return false;
+
+        const direction = head.getWorldDirection(new THREE.Vector3());
+        const right = new THREE.Vector3().crossVectors(direction, head.up).normalize();
+        const velocity = direction.multiplyScalar(forward).addScaledVector(right, strafe);
+
+        this.world.position.addScaledVector(velocity, -speed * deltaTime);
+        this.motion = Math.max(this.motion, Math.min(velocity.length(), 1));
+        return true;
+    }
+
+    // スティックの左右でスナップターン（倒すたびに1回）。回ったら true
+    snapTurn(head, x) {
+        if (Math.abs(x) < SNAP_THRESHOLD) {
+            this.snapReady = Math.abs(x) < DEAD_ZONE * 2 || this.snapReady;
+            return false;
+        }
+        if (!this.snapReady) return false;
+        this.snapReady = false;
+
+        // 右へ向く = 太陽系を頭の位置を中心に左へ回す
+        const pivot = head.getWorldPosition(new THREE.Vector3());
+        const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), x > 0 ? SNAP_ANGLE : -SNAP_ANGLE);
+        this.world.position.sub(pivot).applyQuaternion(rotation).add(pivot);
+        this.world.quaternion.premultiply(rotation);
+        this.flash();
+        return true;
+    }
+
+    // 瞬間的な移動の直後にビネットをかける
+    flash() {
+        this.intensity = Math.max(this.intensity, VIGNETTE_TURN);
+    }
+
+    // ビネットを頭に合わせ、移動の強さに合わせて濃さを変える
+    update(head, deltaTime) {
+        const target = this.vignetteEnabled ? this.motion : 0;
+        const step = 1 - Math.exp(-VIGNETTE_FADE * deltaTime);
+        this.intensity = this.vignetteEnabled ? THREE.MathUtils.lerp(this.intensity, target, step) : 0;
+        this.motion = 0;
+
+        const material = this.vignette.material;
+        material.uniforms.intensity.value = this.intensity;
+        this.vignette.visible = this.intensity > 0.01;
+        if (!this.vignette.visible) return;
+
+        head.getWorldPosition(this.vignette.position);
+        head.getWorldQuaternion(this.vignette.quaternion);
+    }
+
+    reset() {
+        this.motion = 0;
+        this.intensity = 0;
+        this.snapReady = true;
+        this.vignette.visible = false;
+    }
+}
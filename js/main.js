@@ -0,0 +1,40 @@
+// ページの起動 - index.html の #container に太陽系ビューワーを作る
+import { createSolarSystemViewer } from './components.js';
+import { getLanguage, getLanguageInfo, t } from './i18n.js';
+
+const LANGUAGE_STORAGE_KEY = 'solar-system-language';
+
+// ページの言語（<html lang> とタイトル）を表示する言語に合わせる
+function applyPageLanguage() {
+    document.documentElement.lang = getLanguage();
+    document.title = t('page.title');
+}
+
+function loadSavedLanguage() {
+    try {
+        return localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch {
+        return null; // ストレージが使えない環境
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // URLの ?catalog= で追加カタログ、?tour= でツアーボタンのツアー、?server= で共有セッションの中継サーバー、
+    // ?lang= で表示する言語（ja / en、なければ前回選んだ言語かブラウザの言語設定）を指定可能、#以降は共有された表示状態
+    const params = new URLSearchParams(window.location.search);
+    const catalog = params.get('catalog');
+    const tour = params.get('tour');
+    const sessionServer = params.get('server');
+    const language = [params.get('lang'), loadSavedLanguage()].find(id => id && getLanguageInfo(id)) ?? null;
+    const viewer = createSolarSystemViewer(document.getElementById('container'), { catalog, tour, sessionServer, language, urlState: true });
+
+    applyPageLanguage();
+    viewer.addEventListener('languagechange', (event) => {
+        applyPageLanguage();
+        try {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, event.language);
+        } catch {
+            // 保存できなくても切り替えはできる
+        }
+    });
+});
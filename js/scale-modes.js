@@ -0,0 +1,106 @@
+// 表示スケールモード - 天体の表示上の大きさと軌道の大きさを実データから決める
+import { AU_KM } from './ephemeris.js';
+import { t, getLocale } from './i18n.js';
+
+export const UNITS_PER_AU = 20; // シーン単位での1天文単位
+const MOON_DISTANCE_EXPONENT = 0.4; // 衛星の距離を親天体の半径比で圧縮する指数
+
+// distance: 'linear'（実際の比率）または 'log'（対数圧縮）
+// sunRadiusFactor / bodyRadiusFactor: 太陽・惑星と衛星の大きさの拡大率
+// compressMoonDistance: 拡大した親天体に衛星が埋もれないよう、衛星の距離を圧縮する
+// 表示名は表の scaleMode.<id>
+export const SCALE_MODES = [
+    {
+        id: 'true',
+        distance: 'linear',
+        sunRadiusFactor: 1,
+        bodyRadiusFactor: 1,
+        compressMoonDistance: false
+    },
+    {
+        id: 'compressed',
+        distance: 'log',
+        sunRadiusFactor: 20,
+        bodyRadiusFactor: 500,
+        compressMoonDistance: true
+    },
+    {
+        id: 'educational',
+        distance: 'linear',
+        sunRadiusFactor: 20,
+        bodyRadiusFactor: 1000,
+        compressMoonDistance: true
+    }
+];
+
+export const DEFAULT_SCALE_MODE = 'compressed';
+
+export function getScaleMode(id) {
+    return SCALE_MODES.find(mode => mode.id === id) || null;
+}
+
+function kmToUnits(km) {
+    return km / AU_KM * UNITS_PER_AU;
+}
+
+// 軌道長半径の対数圧縮の度合い（0: 線形、1: 対数）。belts.js のシェーダーはこの重みで両者を補間する
+export function getLogDistanceWeight(mode) {
+    return mode.distance === 'log' ? 1 : 0;
+}
+
+// 太陽からの距離 r（AU）の表示上の距離（シーン単位）。1 AU は線形・対数とも同じ位置
+// 彗星は軌道全体ではなく現在位置の距離をこれで変換する
+export function radialDisplayDistance(r, logWeight) {
+    if (logWeight === 0) return UNITS_PER_AU * r;
+    return UNITS_PER_AU * Math.pow(r, 1 - logWeight) * Math.pow(Math.log2(1 + r), logWeight);
+}
+
+// 太陽を直接回る天体の表示上の軌道長半径（シーン単位）
+function heliocentricDistance(mode, a) {
+    return radialDisplayDistance(a, getLogDistanceWeight(mode));
+}
+
+// 全天体の表示上の { radius, distance } を計算（distance は軌道長半径、恒星は0）
+export function computeDisplayScales(mode, catalog) {
+    const scales = new Map();
+
+    const addBody = (body, parent) => {
+        const isStar = !parent;
+        const radius = kmToUnits(body.radiusKm) * (isStar ? mode.sunRadiusFactor : mode.bodyRadiusFactor);
+        let distance = 0;
+
+        if (parent && !parent.parent) {
+            // 彗星は近日点距離（開いた軌道には軌道長半径がない）
+            distance = heliocentricDistance(mode, body.elements.a ?? body.elements.q);
+        } else if (parent) {
+            // 衛星（軌道要素の a は km）
+            const parentRadius = scales.get(parent.id).radius;
+            distance = mode.compressMoonDistance
+                ? parentRadius * Math.pow(body.elements.a / parent.radiusKm, MOON_DISTANCE_EXPONENT)
+                : kmToUnits(body.elements.a);
+        }
+
+        scales.set(body.id, { radius, distance });
+        body.children.forEach(child => addBody(child, body));
+    };
+    addBody(catalog.root, null);
+
+    return scales;
+}
+
+// 画面に表示するモードの説明（実際の比率でない点を明示する）
+export function describeScaleMode(mode) {
+    if (mode.distance === 'linear' && mode.bodyRadiusFactor === 1 && mode.sunRadiusFactor === 1) {
+        return t('scaleInfo.trueScale');
+    }
+
+    const parts = [
+        t(mode.distance === 'log' ? 'scaleInfo.logDistance' : 'scaleInfo.linearDistance'),
+        t('scaleInfo.bodySize', { factor: mode.bodyRadiusFactor.toLocaleString(getLocale()) }),
+        t('scaleInfo.sunSize', { factor: mode.sunRadiusFactor.toLocaleString(getLocale()) })
+    ];
+    if (mode.compressMoonDistance) {
+        parts.push(t('scaleInfo.moonDistance'));
+    }
+    return parts.join(t('list.separator'));
+}
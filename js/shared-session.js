@@ -0,0 +1,189 @@
+// 共有セッション - 中継サーバー（server/relay.mjs）と WebSocket でやり取りする
+//
+// 発表者（presenter）は表示状態（state）を送り、参加者（follower）はそれを受け取って合わせる。
+// 全員が自分の頭・手の位置（pose）を送り、ほかの人のアバターの表示に使う。
+// 接続が切れたら間隔を空けて自動でつなぎ直す（close() で退出したときを除く）。
+// 受け取った state・pose はここで確かめ、正しい項目だけを渡す（壊れた値で描画が止まらないように）。
+import * as THREE from 'three';
+import { sanitizeViewState } from './view-state.js';
+
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000]; // ms
+const MAX_HANDS = 2;
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+function isPositiveNumber(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+// { p: [x, y, z], q: [x, y, z, w] }（四元数は長さ0でないこと）
+function sanitizeTransform(transform) {
+    if (!isNumberArray(transform?.p, 3) || !isNumberArray(transform?.q, 4)) return null;
+    if (transform.q.every(value => value === 0)) return null;
+    return { p: transform.p, q: transform.q };
+}
+
+// 頭が読めなければ pose ごと捨てる（手は読めないものだけ表示しない）
+function sanitizePose(pose) {
+    const head = sanitizeTransform(pose?.head);
+    if (!head || !isPositiveNumber(pose.size)) return null;
+    const hands = Array.isArray(pose.hands) ? pose.hands.slice(0, MAX_HANDS).map(sanitizeTransform) : [];
+    return { head, hands, size: pose.size };
+}
+
+function sanitizePlacement(placement) {
+    if (!isNumberArray(placement?.position, 3) || !isNumberArray(placement?.quaternion, 4)) return null;
+    if (placement.quaternion.every(value => value === 0) || !isPositiveNumber(placement.scale)) return null;
+    return { position: placement.position, quaternion: placement.quaternion, scale: placement.scale };
+}
+
+// state: { view, selected, xr, placement }（view は view-state.js で確かめる）
+function sanitizeState(state) {
+    if (typeof state?.view !== 'object' || state.view === null) return null;
+    return {
+        view: sanitizeViewState(state.view),
+        selected: typeof state.selected === 'string' ? state.selected : null,
+        xr: state.xr === true,
+        placement: sanitizePlacement(state.placement)
+    };
+}
+
+// server: 中継サーバーのURL（null: このページを配信しているサーバーの /session）
+export function getSessionUrl(server, room) {
+    const url = new URL(server || '/session', window.location.href);
+    url.protocol = url.protocol === 'https:' || url.protocol === 'wss:' ? 'wss:' : 'ws:';
+    url.searchParams.set('room', room);
+    return url.href;
+}
+
+// イベント: 'status'（{ status: 'connecting' | 'open' | 'reconnecting' | 'closed' }）、'welcome'、'join'、'leave'、
+// 'presenter'（発表者が変わった）、'state'、'pose'、'error'（サーバーからの通知）
+export class SharedSession extends THREE.EventDispatcher {
+    // key: 発表者キー（部屋の最初の発表者が決め、以後の発表者はこれが合わないと follower になる。'' なら付けない）
+    constructor(url, role, name, key = '') {
+        super();
+        this.url = url;
+        this.role = role; // 'presenter' | 'follower'（発表者がいる部屋に presenter で入ると follower になる）
+        this.name = name;
+        this.key = key;
+        this.id = null;
+        this.presenterId = null;
+        this.peers = new Map(); // id → { name, role }
+        this.socket = null;
+        this.status = 'closed';
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.isClosing = false;
+    }
+
+    get isPresenter() {
+        return this.id !== null && this.id === this.presenterId;
+    }
+
+    get isOpen() {
+        return this.socket?.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        this.setStatus(this.reconnectAttempt > 0 ? 'reconnecting' : 'connecting');
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectAttempt = 0;
+            this.send({ type: 'hello', role: this.role, name: this.name, key: this.role === 'presenter' ? this.key : '' });
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            this.handleMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.peers.clear();
+            this.presenterId = null;
+            if (this.isClosing) {
+                this.setStatus('closed');
+                return;
+            }
+
+            const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+            this.reconnectAttempt++;
+            this.setStatus('reconnecting');
+            this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.role = message.role;
+                this.presenterId = message.presenterId;
+                message.peers.forEach(peer => this.peers.set(peer.id, { name: peer.name, role: peer.role }));
+                this.setStatus('open');
+                break;
+            case 'join':
+                this.peers.set(message.id, { name: message.name, role: message.role });
+                break;
+            case 'leave':
+                this.peers.delete(message.id);
+                break;
+            case 'presenter':
+                this.presenterId = message.id;
+                break;
+            case 'state': {
+                const state = sanitizeState(message.state);
+                if (!state) return;
+                this.dispatchEvent({ type: 'state', state: state });
+                return;
+            }
+            case 'pose': {
+                const pose = sanitizePose(message.pose);
+                if (!pose) return;
+                this.dispatchEvent({ type: 'pose', id: message.id, pose: pose });
+                return;
+            }
+            case 'error':
+                if (typeof message.code !== 'string') return;
+                break;
+            default:
+                return;
+        }
+        this.dispatchEvent(message);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.dispatchEvent({ type: 'status', status: status });
+    }
+
+    send(message) {
+        if (this.isOpen) this.socket.send(JSON.stringify(message));
+    }
+
+    sendState(state) {
+        if (this.isPresenter) this.send({ type: 'state', state: state });
+    }
+
+    sendPose(pose) {
+        this.send({ type: 'pose', pose: pose });
+    }
+
+    close() {
+        this.isClosing = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+        } else {
+            this.setStatus('closed');
+        }
+    }
+}
@@ -0,0 +1,268 @@
+// 天体の表面テクスチャ - 画像がない天体のための手続き生成テクスチャ
+//
+// 模様はカタログの surface（catalog.js の SURFACE_STYLES）で選ぶ。乱数は天体IDから作るので毎回同じ模様になる。
+// 地図は正距円筒図法（u: 経度、v: 緯度）で、経度方向は一周で繋がる。
+import * as THREE from 'three';
+
+const TEXTURE_WIDTH = 512;
+const TEXTURE_HEIGHT = 256;
+
+// 文字列をシードにした再現性のある乱数（mulberry32）
+function createRandom(seedText) {
+    let seed = 0;
+    for (let i = 0; i < seedText.length; i++) {
+        seed = Math.imul(seed ^ seedText.charCodeAt(i), 2654435761);
+    }
+
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function smooth(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// 値ノイズ（0〜1）。周波数を倍にした octaves 層を重ねる
+function createNoise(random, baseCells = 8, octaves = 4) {
+    const layers = [];
+    for (let octave = 0; octave < octaves; octave++) {
+        const cellsX = baseCells * 2 ** octave;
+        const cellsY = Math.max(2, cellsX / 2);
+        const values = Array.from({ length: cellsX * (cellsY + 1) }, () => random());
+        layers.push({ cellsX, cellsY, values });
+    }
+
+    return (u, v) => {
+        let sum = 0;
+        let total = 0;
+        let amplitude = 1;
+
+        layers.forEach(({ cellsX, cellsY, values }) => {
+            const x = u * cellsX;
+            const y = v * cellsY;
+            const x0 = Math.floor(x);
+            const y0 = Math.min(Math.floor(y), cellsY - 1);
+            const fx = smooth(x - x0);
+            const fy = smooth(y - y0);
+            const at = (ix, iy) => values[iy * cellsX + ((ix % cellsX) + cellsX) % cellsX];
+
+            const top = THREE.MathUtils.lerp(at(x0, y0), at(x0 + 1, y0), fx);
+            const bottom = THREE.MathUtils.lerp(at(x0, y0 + 1), at(x0 + 1, y0 + 1), fx);
+            sum += THREE.MathUtils.lerp(top, bottom, fy) * amplitude;
+            total += amplitude;
+            amplitude *= 0.5;
+        });
+
+        return sum / total;
+    };
+}
+
+function toRGB(hex) {
+    return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
+
+// 1画素ずつ shade(u, v, out) で [r, g, b, a] を決めてキャンバスに描く
+function paintPixels(width, height, shade) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const pixel = [0, 0, 0, 255];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixel[3] = 255;
+            shade((x + 0.5) / width, (y + 0.5) / height, pixel);
+
+            const offset = (y * width + x) * 4;
+            image.data[offset] = pixel[0];
+            image.data[offset + 1] = pixel[1];
+            image.data[offset + 2] = pixel[2];
+            image.data[offset + 3] = pixel[3];
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+function setShaded(out, rgb, brightness) {
+    out[0] = rgb[0] * brightness;
+    out[1] = rgb[1] * brightness;
+    out[2] = rgb[2] * brightness;
+}
+
+function toTexture(canvas) {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+// 緯度の大きさ（赤道0、極1）
+function latitudeOf(v) {
+    return Math.abs(v - 0.5) * 2;
+}
+
+// 地球の陸地（昼の地図と夜の街明かりで同じ形にする）
+function createLandNoise(data) {
+    return createNoise(createRandom(`${data.id}-land`), 6, 5);
+}
+
+const SURFACE_PAINTERS = {
+    // 恒星：粒状斑のような細かい明暗
+    star(data, random) {
+        const noise = createNoise(random, 32, 3);
+        const rgb = toRGB(data.color);
+        return paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+            setShaded(out, rgb, 0.85 + 0.3 * noise(u, v));
+        });
+    },
+
+    // 岩石天体：ゆるやかな明暗のむら
+    rocky(data, random) {
+        const noise = createNoise(random, 8, 5);
+        const rgb = toRGB(data.color);
+        return paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+            setShaded(out, rgb, 0.65 + 0.6 * noise(u, v));
+        });
+    },
+
+    // 厚い大気・氷の天体：ほとんど模様のないかすかな縞
+    smooth(data, random) {
+        const noise = createNoise(random, 4, 3);
+        const rgb = toRGB(data.color);
+        return paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+            setShaded(out, rgb, 0.93 + 0.05 * Math.sin(v * Math.PI * 12 + noise(u, v) * 3) + 0.04 * noise(u, v));
+        });
+    },
+
+    // 巨大ガス惑星：乱流で揺らいだ緯度方向の縞
+    banded(data, random) {
+        const turbulence = createNoise(random, 16, 4);
+        const bands = createNoise(random, 24, 3);
+        const rgb = toRGB(data.color);
+        const light = rgb.map(value => value + (255 - value) * 0.5);
+        const dark = rgb.map(value => value * 0.65);
+
+        return paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+            const band = bands(0.37, THREE.MathUtils.clamp(v + (turbulence(u, v) - 0.5) * 0.04, 0, 1));
+            const t = THREE.MathUtils.smoothstep(band, 0.3, 0.7);
+            for (let i = 0; i < 3; i++) {
+                out[i] = THREE.MathUtils.lerp(dark[i], light[i], t);
+            }
+        });
+    },
+
+    // クレーターの多い天体（月・水星など）
+    cratered(data, random) {
+        const canvas = SURFACE_PAINTERS.rocky(data, random);
+        const context = canvas.getContext('2d');
+
+        for (let i = 0; i < 150; i++) {
+            const x = random() * TEXTURE_WIDTH;
+            const y = (0.08 + random() * 0.84) * TEXTURE_HEIGHT;
+            const radius = 1.5 + random() ** 3 * 16; // 小さいクレーターほど多い
+
+            context.beginPath();
+            context.arc(x, y, radius, 0, Math.PI * 2);
+            context.fillStyle = 'rgba(0, 0, 0, 0.25)';
+            context.fill();
+            context.lineWidth = Math.max(1, radius * 0.2);
+            context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+            context.stroke();
+        }
+        return canvas;
+    },
+
+    // 火星：赤い地表と極冠
+    mars(data, random) {
+        const noise = createNoise(random, 8, 5);
+        const rgb = toRGB(data.color);
+        return paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+            const n = noise(u, v);
+            if (latitudeOf(v) > 0.86 + (n - 0.5) * 0.1) {
+                setShaded(out, [240, 240, 245], 1);
+            } else {
+                setShaded(out, rgb, 0.6 + 0.65 * n);
+            }
+        });
+    },
+
+    // 地球：海・陸・極の氷
+    earth(data, random) {
+        const land = createLandNoise(data);
+        const vegetation = createNoise(random, 12, 3);
+        return paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+            const height = land(u, v);
+            const latitude = latitudeOf(v);
+
+            if (latitude > 0.88 + (height - 0.5) * 0.15) {
+                setShaded(out, [235, 240, 245], 1);
+            } else if (height > 0.52) {
+                const dryness = THREE.MathUtils.clamp(vegetation(u, v) + (latitude < 0.4 ? 0.15 : -0.1), 0, 1);
+                out[0] = THREE.MathUtils.lerp(50, 150, dryness);
+                out[1] = THREE.MathUtils.lerp(105, 125, dryness);
+                out[2] = THREE.MathUtils.lerp(45, 80, dryness);
+            } else {
+                setShaded(out, [25, 70, 150], 0.6 + height * 0.7); // 浅い海ほど明るい
+            }
+        });
+    }
+};
+
+export function getSurfaceStyle(data) {
+    return data.surface || (data.type === 'star' ? 'star' : 'rocky');
+}
+
+// 天体の表面の手続き生成テクスチャ
+export function createSurfaceTexture(data) {
+    const paint = SURFACE_PAINTERS[getSurfaceStyle(data)];
+    return toTexture(paint(data, createRandom(data.id)));
+}
+
+// 夜側の街明かり（陸地にまばらな光点、emissiveMap 用）
+export function createNightLightsTexture(data) {
+    const land = createLandNoise(data);
+    const density = createNoise(createRandom(`${data.id}-cities`), 16, 3);
+    const random = createRandom(`${data.id}-lights`);
+
+    return toTexture(paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+        const isLit = land(u, v) > 0.53 && latitudeOf(v) < 0.75 && random() < density(u, v) ** 3 * 0.25;
+        setShaded(out, [255, 210, 140], isLit ? 1 : 0);
+    }));
+}
+
+// 雲（白で、透明度に雲の濃さを持たせる）
+export function createCloudTexture(data) {
+    const noise = createNoise(createRandom(`${data.id}-clouds`), 10, 5);
+    return toTexture(paintPixels(TEXTURE_WIDTH, TEXTURE_HEIGHT, (u, v, out) => {
+        setShaded(out, [255, 255, 255], 1);
+        out[3] = THREE.MathUtils.smoothstep(noise(u, v), 0.4, 0.7) * 255;
+    }));
+}
+
+// リングの半径方向のテクスチャ（u: innerRadius〜outerRadius、リングの隙間は透明）
+// rings は buildHierarchy 済み（color は数値）、半径は km
+export function createRingTexture(data, innerRadius, outerRadius) {
+    const striation = createNoise(createRandom(`${data.id}-rings`), 64, 3);
+
+    return toTexture(paintPixels(TEXTURE_WIDTH, 4, (u, v, out) => {
+        const radius = THREE.MathUtils.lerp(innerRadius, outerRadius, u);
+        const ring = data.rings.find(candidate => radius >= candidate.innerRadius && radius <= candidate.outerRadius);
+        if (!ring) {
+            out[3] = 0;
+            return;
+        }
+
+        // 細かい濃淡の筋
+        const n = striation(u, 0.5);
+        setShaded(out, toRGB(ring.color), 0.8 + 0.3 * n);
+        out[3] = ring.opacity * (0.6 + 0.4 * n) * 255;
+    }));
+}
@@ -0,0 +1,240 @@
+// ガイドツアー - 説明文つきの手順（ステップ）を順に見せる
+//
+// ツアーは JSON の { title, steps: [...] }。既定のツアーは data/tour.json。
+// 各ステップは caption（説明文、必須）と、そのステップで変える項目だけを持つ（省いた項目は前のまま）。
+// title と caption は文字列か、言語ごとの文字列 { "ja": "…", "en": "…" }（表示する言語がなければ日本語）。
+//   title    見出し
+//   focus    フォーカスする天体のID（null: 太陽系全体）
+//   camera   注視点からカメラへのベクトル [x, y, z]（シーンの単位、XRでは使わない）
+//   date     日時（ISO 8601 の文字列）
+//   rate     実時間1秒あたりに進む秒数（負なら逆再生）
+//   paused   一時停止するか
+//   scale    表示スケールモードのID
+//   orbits / axes / trails  軌道・自転軸・軌跡を表示するか
+//   labels   名前を表示する分類のIDの配列、belts 表示する小惑星帯などのIDの配列
+//   hide     隠す天体のIDの配列（[] ならすべて表示）
+//   duration 自動再生で次へ進むまでの秒数（既定 12）
+import * as THREE from 'three';
+import { getScaleMode } from './scale-modes.js';
+import { LABEL_CATEGORIES } from './labels.js';
+import { BELTS } from './belts.js';
+import { isValidRate } from './clock.js';
+import { t } from './i18n.js';
+
+export const DEFAULT_TOUR_URL = new URL('../data/tour.json', import.meta.url).href;
+
+const DEFAULT_DURATION = 12; // 秒
+const FLAG_KEYS = ['paused', 'orbits', 'axes', 'trails'];
+
+export class TourError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}\n- ${problems.join('\n- ')}` : message);
+        this.name = 'TourError';
+        this.problems = problems;
+    }
+}
+
+async function fetchTour(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new TourError(t('tour.loadFailed', { url, reason: error.message }));
+    }
+
+    if (!response.ok) {
+        throw new TourError(t('tour.loadFailed', { url, reason: `HTTP ${response.status}` }));
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new TourError(t('tour.invalidJson', { url, reason: error.message }));
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+// 文字列、または言語ごとの文字列（{ ja: '…', en: '…' }、1つ以上）
+function isText(value, allowEmpty = true) {
+    if (typeof value === 'string') return allowEmpty || value !== '';
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const texts = Object.values(value);
+    return texts.length > 0 && texts.every(text => typeof text === 'string' && (allowEmpty || text !== ''));
+}
+
+function validateIdList(value, validIds, problems, label) {
+    if (!Array.isArray(value)) {
+        problems.push(t('tour.notArray', { label }));
+        return;
+    }
+    value.forEach((id) => {
+        if (validIds && !validIds.includes(id)) problems.push(t('tour.unknownId', { label, id }));
+    });
+}
+
+function validateStep(step, bodyIds, problems, label) {
+    if (!step || typeof step !== 'object') {
+        problems.push(t('tour.stepNotObject', { label }));
+        return;
+    }
+
+    if (!isText(step.caption, false)) {
+        problems.push(t('tour.invalidCaption', { label }));
+    }
+    if (step.title !== undefined && !isText(step.title)) {
+        problems.push(t('tour.invalidTitle', { label: `${label}: title` }));
+    }
+    if (step.focus !== undefined && step.focus !== null && (typeof step.focus !== 'string' || (bodyIds && !bodyIds.includes(step.focus)))) {
+        problems.push(t('tour.invalidFocus', { label, focus: step.focus }));
+    }
+    if (step.camera !== undefined && (!isVector(step.camera) || step.camera.every(value => value === 0))) {
+        problems.push(t('tour.invalidCamera', { label }));
+    }
+    if (step.date !== undefined && (typeof step.date !== 'string' || Number.isNaN(Date.parse(step.date)))) {
+        problems.push(t('tour.invalidDate', { label }));
+    }
+    if (step.rate !== undefined && !isValidRate(step.rate)) {
+        problems.push(t('tour.invalidRate', { label }));
+    }
+    if (step.scale !== undefined && !getScaleMode(step.scale)) {
+        problems.push(t('tour.unknownScale', { label, scale: step.scale }));
+    }
+    FLAG_KEYS.forEach((key) => {
+        if (step[key] !== undefined && typeof step[key] !== 'boolean') {
+            problems.push(t('tour.invalidFlag', { label, key }));
+        }
+    });
+    if (step.labels !== undefined) {
+        validateIdList(step.labels, LABEL_CATEGORIES.map(category => category.id), problems, `${label}: labels`);
+    }
+    if (step.belts !== undefined) {
+        validateIdList(step.belts, BELTS.map(belt => belt.id), problems, `${label}: belts`);
+    }
+    if (step.hide !== undefined) {
+        validateIdList(step.hide, bodyIds, problems, `${label}: hide`);
+    }
+    if (step.duration !== undefined && (!isNumber(step.duration) || step.duration <= 0)) {
+        problems.push(t('tour.invalidDuration', { label }));
+    }
+}
+
+// ツアーを検証し、問題があれば一覧を TourError として投げる（bodyIds: 使える天体のID、null なら確かめない）
+export function validateTour(tour, bodyIds = null) {
+    const problems = [];
+    if (!tour || typeof tour !== 'object') {
+        throw new TourError(t('tour.notObject'));
+    }
+    if (tour.title !== undefined && !isText(tour.title)) {
+        problems.push(t('tour.invalidTitle', { label: 'title' }));
+    }
+    if (!Array.isArray(tour.steps) || tour.steps.length === 0) {
+        problems.push(t('tour.noSteps'));
+    } else {
+        tour.steps.forEach((step, index) => validateStep(step, bodyIds, problems, `steps[${index}]`));
+    }
+
+    if (problems.length > 0) {
+        throw new TourError(t('tour.invalid'), problems);
+    }
+}
+
+// source: URL（文字列）またはツアーのオブジェクト（title と caption は言語ごとのまま返すので、表示するときに localize() する）
+export async function loadTour(source = DEFAULT_TOUR_URL, bodyIds = null) {
+    const tour = typeof source === 'string' ? await fetchTour(source) : source;
+    validateTour(tour, bodyIds);
+
+    return {
+        title: tour.title || null, // null: 表の tour.defaultTitle
+        steps: tour.steps.map(step => ({ ...step, duration: step.duration ?? DEFAULT_DURATION }))
+    };
+}
+
+// ツアーの再生（どのステップを見せるか、自動再生の時間）だけを扱い、表示の変更は 'step' イベントを受けた側が行う
+// イベント: 'step'（{ step, index }）、'change'（自動再生の切り替えなど）、'end'
+export class TourPlayer extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.tour = null;
+        this.index = -1;
+        this.autoplay = false;
+        this.elapsed = 0; // 今のステップを表示してからの秒数
+    }
+
+    get isActive() {
+        return this.tour !== null;
+    }
+
+    get step() {
+        return this.tour ? this.tour.steps[this.index] : null;
+    }
+
+    get stepCount() {
+        return this.tour ? this.tour.steps.length : 0;
+    }
+
+    start(tour, autoplay = false) {
+        this.tour = tour;
+        this.autoplay = autoplay;
+        this.goTo(0);
+    }
+
+    goTo(index) {
+        if (!this.tour) return;
+        this.index = THREE.MathUtils.clamp(index, 0, this.stepCount - 1);
+        this.elapsed = 0;
+        this.dispatchEvent({ type: 'step', step: this.step, index: this.index });
+    }
+
+    // 最後のステップで次へ進むとツアーを終える
+    next() {
+        if (!this.tour) return;
+        if (this.index >= this.stepCount - 1) {
+            this.stop();
+            return;
+        }
+        this.goTo(this.index + 1);
+    }
+
+    previous() {
+        if (this.tour) this.goTo(this.index - 1);
+    }
+
+    setAutoplay(autoplay) {
+        this.autoplay = autoplay;
+        this.elapsed = 0;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    toggleAutoplay() {
+        this.setAutoplay(!this.autoplay);
+    }
+
+    stop() {
+        if (!this.tour) return;
+        this.tour = null;
+        this.index = -1;
+        this.autoplay = false;
+        this.dispatchEvent({ type: 'end' });
+    }
+
+    // 自動再生中は duration 秒ごとに次へ進む（最後のステップでは止まる）
+    update(deltaTime) {
+        if (!this.tour || !this.autoplay) return;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed < this.step.duration) return;
+
+        if (this.index >= this.stepCount - 1) {
+            this.setAutoplay(false);
+            return;
+        }
+        this.goTo(this.index + 1);
+    }
+}
@@ -0,0 +1,78 @@
+// 公転の軌跡 - 天体が実際に通った位置を記録し、古いほど薄くなる線で描く
+//
+// 衛星の軌跡も太陽系全体の座標（scaleGroup 内の位置）で記録するので、親天体と一緒に太陽を回る道筋が見える。
+// 一定のシミュレーション時間ごとに点を足し、容量を超えたら古い点から捨てる（リングバッファ）。
+import * as THREE from 'three';
+
+export const TRAIL_POINTS = 256;
+
+export class OrbitTrail {
+    // duration: 軌跡に残す長さ（シミュレーション上の日数）
+    constructor(color, duration, capacity = TRAIL_POINTS) {
+        this.capacity = capacity;
+        this.interval = duration / capacity; // 点を足す間隔（日）
+        this.points = Array.from({ length: capacity }, () => new THREE.Vector3());
+        this.start = 0; // 最も古い点の添字
+        this.count = 0;
+        this.lastDays = null;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 4), 4));
+        geometry.setDrawRange(0, 0);
+
+        this.color = new THREE.Color(color);
+        this.mesh = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false
+        }));
+        this.mesh.frustumCulled = false; // 頂点を毎回書き換えるため
+        this.mesh.raycast = () => {};
+    }
+
+    // days: 現在のシミュレーション日時（J2000からの日数）、position: その時点の位置
+    // 逆再生でも経過時間の大きさで点を足す
+    record(days, position) {
+        if (this.lastDays !== null && Math.abs(days - this.lastDays) < this.interval) {
+            // 最新の点は現在位置に合わせて、天体と線の先端をつなげる
+            if (this.count > 0) {
+                this.points[(this.start + this.count - 1) % this.capacity].copy(position);
+                this.updateGeometry();
+            }
+            return;
+        }
+
+        if (this.count < this.capacity) {
+            this.count++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+        this.points[(this.start + this.count - 1) % this.capacity].copy(position);
+        this.lastDays = days;
+        this.updateGeometry();
+    }
+
+    clear() {
+        this.start = 0;
+        this.count = 0;
+        this.lastDays = null;
+        this.mesh.geometry.setDrawRange(0, 0);
+    }
+
+    // 古い点から順に並べ、新しいほど不透明にする
+    updateGeometry() {
+        const position = this.mesh.geometry.getAttribute('position');
+        const color = this.mesh.geometry.getAttribute('color');
+
+        for (let i = 0; i < this.count; i++) {
+            const point = this.points[(this.start + i) % this.capacity];
+            position.setXYZ(i, point.x, point.y, point.z);
+            color.setXYZW(i, this.color.r, this.color.g, this.color.b, (i + 1) / this.count * 0.8);
+        }
+
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+        this.mesh.geometry.setDrawRange(0, this.count);
+    }
+}
@@ -0,0 +1,138 @@
+// 表示状態の共有 - 日時・再生速度・表示スケール・視点・表示の切り替えをURLのハッシュに入れる
+//
+// 例: #v=1&t=2024-04-08T18:00:00Z&rate=86400&scale=compressed&focus=earth&cam=0.1,0.02,0.3
+// 古い版や手で書き換えたURLでもページが動くよう、読めない項目は捨てて既定値のままにする。
+// 共有セッションで受け取った表示状態も、同じ確かめ方で正しい項目だけを残す（sanitizeViewState）。
+import { getScaleMode } from './scale-modes.js';
+import { LABEL_CATEGORIES } from './labels.js';
+import { BELTS } from './belts.js';
+import { isValidRate, isValidTime } from './clock.js';
+
+const VERSION = 1; // 項目の意味を変えたら上げる（違う版のURLはすべて既定値で開く）
+
+function formatNumber(value) {
+    return String(Number(value.toPrecision(6)));
+}
+
+function formatFlag(value) {
+    return value ? '1' : '0';
+}
+
+function parseNumber(text) {
+    if (!text) return null;
+    const value = Number(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+function parseFlag(text) {
+    return text === '1' ? true : text === '0' ? false : null;
+}
+
+function parseVector(text) {
+    return checkVector((text || '').split(',').map(parseNumber));
+}
+
+function parseList(text, validIds = null) {
+    if (text === null) return null;
+    return checkList(text.split(',').filter(id => id !== ''), validIds);
+}
+
+// 上限を超える速さ・範囲外の日時は時計が受け付けないので捨てる
+function checkRate(value) {
+    return isValidRate(value) ? value : null;
+}
+
+function checkTime(value) {
+    return isValidTime(value) ? value : null;
+}
+
+function checkFlag(value) {
+    return typeof value === 'boolean' ? value : null;
+}
+
+function checkVector(values) {
+    return Array.isArray(values) && values.length === 3 && values.every(Number.isFinite) ? values : null;
+}
+
+// validIds: 知っているIDだけを残す（null: 文字列ならすべて）
+function checkList(ids, validIds = null) {
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) return null;
+    return validIds ? ids.filter(id => validIds.includes(id)) : ids;
+}
+
+// 読めなかった項目（null・undefined・NaN）を除く
+function pickValid(candidates) {
+    const state = {};
+    Object.entries(candidates).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && !Number.isNaN(value)) state[key] = value;
+    });
+    return state;
+}
+
+// state: { time, rate, paused, scale, focus, camera, target, axes, orbits, trails, labels, belts, hidden }
+// camera は注視点からカメラへのベクトル、target は注視点（フォーカス中は天体に付いて動くので省く）
+export function encodeViewState(state) {
+    const params = new URLSearchParams();
+    params.set('v', VERSION);
+    if (isValidTime(state.time)) params.set('t', new Date(state.time).toISOString().replace(/\.\d{3}Z$/, 'Z'));
+    params.set('rate', state.rate); // 再生速度の段階と一致させるため丸めない
+    params.set('paused', formatFlag(state.paused));
+    params.set('scale', state.scale);
+    if (state.focus) params.set('focus', state.focus);
+    params.set('cam', state.camera.map(formatNumber).join(','));
+    if (!state.focus) params.set('target', state.target.map(formatNumber).join(','));
+    params.set('axes', formatFlag(state.axes));
+    params.set('orbits', formatFlag(state.orbits));
+    params.set('trails', formatFlag(state.trails));
+    params.set('labels', state.labels.join(','));
+    params.set('belts', state.belts.join(','));
+    params.set('hide', state.hidden.join(','));
+
+    // 区切りのカンマ・コロンはエスケープしなくても読める
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// 読めた項目だけを持つ state を返す（ハッシュがない・版が違うときは空）
+export function decodeViewState(text) {
+    const params = new URLSearchParams(text.replace(/^#/, ''));
+    if (params.get('v') !== String(VERSION)) return {};
+
+    return pickValid({
+        time: checkTime(Date.parse(params.get('t'))),
+        rate: checkRate(parseNumber(params.get('rate'))),
+        paused: parseFlag(params.get('paused')),
+        scale: getScaleMode(params.get('scale'))?.id,
+        focus: params.get('focus') || null,
+        camera: parseVector(params.get('cam')),
+        target: parseVector(params.get('target')),
+        axes: parseFlag(params.get('axes')),
+        orbits: parseFlag(params.get('orbits')),
+        trails: parseFlag(params.get('trails')),
+        labels: parseList(params.get('labels'), LABEL_CATEGORIES.map(category => category.id)),
+        belts: parseList(params.get('belts'), BELTS.map(belt => belt.id)),
+        hidden: parseList(params.get('hide'))
+    });
+}
+
+// getViewState の形の値から、正しい項目だけを持つ state を返す（focus の null は太陽系全体なので残す）
+export function sanitizeViewState(view) {
+    if (typeof view !== 'object' || view === null) return {};
+
+    const state = pickValid({
+        time: checkTime(view.time),
+        rate: checkRate(view.rate),
+        paused: checkFlag(view.paused),
+        scale: getScaleMode(view.scale)?.id,
+        focus: typeof view.focus === 'string' && view.focus !== '' ? view.focus : null,
+        camera: checkVector(view.camera),
+        target: checkVector(view.target),
+        axes: checkFlag(view.axes),
+        orbits: checkFlag(view.orbits),
+        trails: checkFlag(view.trails),
+        labels: checkList(view.labels, LABEL_CATEGORIES.map(category => category.id)),
+        belts: checkList(view.belts, BELTS.map(belt => belt.id)),
+        hidden: checkList(view.hidden)
+    });
+    if (view.focus === null) state.focus = null;
+    return state;
+}
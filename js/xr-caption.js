@@ -0,0 +1,108 @@
+// XRのツアーの説明文 - 視点の前の少し下に浮かぶパネルに見出し・説明文と前へ・次へのボタンを出す
+//
+// 視線が大きく離れたら置き直す（説明を読んでいる間に揺れないよう、頭の動きには毎フレームは追従しない）。
+import * as THREE from 'three';
+import { XRPanel } from './xr-panel.js';
+import { t } from './i18n.js';
+
+const CAPTION_WIDTH = 0.42; // m
+const CAPTION_HEIGHT = 0.2;
+const FLOAT_DISTANCE = 0.7; // 視点からの距離（m）
+const FLOAT_DROP = 0.28; // 目の高さから下げる量（m）
+const FOLLOW_ANGLE = THREE.MathUtils.degToRad(60); // 視線がこれ以上離れたら置き直す
+
+// 幅 maxWidth に収まるよう1文字ずつ折り返す（日本語は単語の区切りがないため）
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    text.split('\n').forEach((paragraph) => {
+        let line = '';
+        [...paragraph].forEach((char) => {
+            if (line !== '' && ctx.measureText(line + char).width > maxWidth) {
+                lines.push(line);
+                line = '';
+            }
+            line += char;
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+export class XRCaption {
+    // actions: { previous, next, toggleAutoplay, close }
+    constructor(actions) {
+        this.panel = new XRPanel(CAPTION_WIDTH, CAPTION_HEIGHT, 1024);
+        this.mesh = this.panel.mesh;
+        this.signature = '';
+        this.isPlaced = false;
+
+        const panel = this.panel;
+        panel.addButton('previous', '', [0.03, 0.8, 0.2, 0.16], actions.previous);
+        panel.addButton('autoplay', '', [0.26, 0.8, 0.22, 0.16], actions.toggleAutoplay);
+        panel.addButton('next', '', [0.51, 0.8, 0.2, 0.16], actions.next);
+        panel.addButton('close', '', [0.8, 0.8, 0.17, 0.16], actions.close);
+    }
+
+    // state: { title, caption, progress, autoplay }（表示が変わるときだけ描き直す）
+    update(state) {
+        const labels = {
+            previous: t('tour.previousArrow'),
+            autoplay: t('tour.autoplay'),
+            next: t('tour.nextArrow'),
+            close: t('tour.end')
+        };
+        const signature = JSON.stringify([state, labels]);
+        if (signature === this.signature) return;
+        this.signature = signature;
+
+        const panel = this.panel;
+        const ctx = panel.context;
+        const { width, height } = panel.canvas;
+        const padding = width * 0.03;
+        panel.buttons.forEach((button) => {
+            button.label = labels[button.id];
+        });
+        panel.buttons.find(button => button.id === 'autoplay').active = state.autoplay;
+
+        panel.clear();
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = `${Math.round(height * 0.07)}px Arial, sans-serif`;
+        ctx.textAlign = 'end';
+        ctx.fillText(state.progress, width - padding, padding);
+        ctx.textAlign = 'start';
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(height * 0.1)}px Arial, sans-serif`;
+        ctx.fillText(state.title, padding, padding);
+
+        // 説明文はボタンの上の領域に収まる分だけ描く
+        const lineHeight = Math.round(height * 0.085);
+        ctx.font = `${Math.round(lineHeight * 0.85)}px Arial, sans-serif`;
+        const maxLines = Math.floor((height * 0.78 - padding - height * 0.15) / lineHeight);
+        wrapText(ctx, state.caption, width - padding * 2).slice(0, maxLines).forEach((line, index) => {
+            ctx.fillText(line, padding, padding + height * 0.15 + index * lineHeight);
+        });
+
+        panel.drawButtons();
+        panel.texture.needsUpdate = true;
+    }
+
+    updatePlacement(camera) {
+        this.mesh.visible = true;
+        const cameraPosition = camera.getWorldPosition(new THREE.Vector3());
+        const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+        const toPanel = this.mesh.position.clone().sub(cameraPosition).setY(0).normalize();
+        if (this.isPlaced && forward.angleTo(toPanel) < FOLLOW_ANGLE) return;
+
+        this.mesh.position.copy(cameraPosition).addScaledVector(forward, FLOAT_DISTANCE);
+        this.mesh.position.y -= FLOAT_DROP;
+        this.mesh.lookAt(cameraPosition);
+        this.isPlaced = true;
+    }
+
+    hide() {
+        this.mesh.visible = false;
+        this.isPlaced = false;
+    }
+}
@@ -0,0 +1,167 @@
+// XRのメニュー - 再生・速度・日時、表示の切り替え、フォーカス先の一覧、セッション終了
+//
+// コントローラーでは利き手でない側（既定は左手、setHand で変える）の手首に付け、手首をこちらへ向けたときだけ見える。
+// ハンドトラッキングやその手のコントローラーがないときは、視点の斜め前（その手の側）に浮かぶパネルにする。
+// ボタンはレイ（トリガー・ピンチ）でも指先でも押せる（押す処理は XRPanel と同じ）。
+import * as THREE from 'three';
+import { XRPanel } from './xr-panel.js';
+import { t } from './i18n.js';
+
+const MENU_WIDTH = 0.22; // m
+const MENU_HEIGHT = 0.28;
+const BODIES_PER_PAGE = 8; // フォーカス先の一覧の1ページの数（2列×4行）
+const FLOAT_DISTANCE = 0.5; // 浮かぶパネルの視点からの距離（m）
+const FLOAT_ANGLE = THREE.MathUtils.degToRad(35); // 浮かぶパネルを視線から横へずらす角度
+const FLOAT_FOLLOW_ANGLE = THREE.MathUtils.degToRad(75); // 視線がこれ以上離れたら置き直す
+const WRIST_FACING = 0.3; // 手首のパネルが視点をどれだけ向いたら表示するか（法線と視点方向の内積）
+
+// 4列のボタンの rect（列 column、上端 top、高さ height）
+function gridRect(column, top, height = 0.09) {
+    return [0.04 + column * 0.235, top, 0.215, height];
+}
+
+export class XRMenu {
+    // actions: ボタンを押したときの処理
+    // { reverse, togglePlay, slower, faster, toggleOrbits, toggleLabels, toggleTrails, reset, focus(bodyId), toggleDetached, exit }
+    constructor(actions) {
+        this.actions = actions;
+        this.panel = new XRPanel(MENU_WIDTH, MENU_HEIGHT);
+        this.mesh = this.panel.mesh;
+        this.page = 0;
+        this.state = null;
+        this.signature = '';
+        this.attachment = null; // 手首に付けているコントローラーのグリップ（null: 浮かぶパネル）
+        this.isFloatPlaced = false;
+        this.hand = 'left';
+    }
+
+    // state: { date, speed, playing, direction, orbits, labels, trails, focusId, bodies: [{ id, name }], sharing }
+    // sharing: 共有セッションでの立場（'presenter' | 'following' | 'detached' | null）
+    // 表示が変わるときだけ描き直す（state の文字は表示する言語のもの。言語が変わると state も変わる）
+    update(state) {
+        const signature = JSON.stringify([state, this.page]);
+        if (signature === this.signature) return;
+        this.signature = signature;
+        this.state = state;
+
+        const pageCount = Math.max(1, Math.ceil((state.bodies.length + 1) / BODIES_PER_PAGE));
+        this.page = Math.min(this.page, pageCount - 1);
+        this.buildButtons(state, pageCount);
+        this.draw(state, pageCount);
+    }
+
+    buildButtons(state, pageCount) {
+        const panel = this.panel;
+        const actions = this.actions;
+        panel.clearButtons();
+
+        panel.addButton('reverse', t(state.direction > 0 ? 'ui.reverse' : 'ui.forward'), gridRect(0, 0.17), actions.reverse);
+        panel.addButton('play', t(state.playing ? 'ui.pause' : 'ui.play'), gridRect(1, 0.17), actions.togglePlay);
+        panel.addButton('slower', t('menu.slower'), gridRect(2, 0.17), actions.slower);
+        panel.addButton('faster', t('menu.faster'), gridRect(3, 0.17), actions.faster);
+
+        panel.addButton('orbits', t('ui.orbits'), gridRect(0, 0.28), actions.toggleOrbits, state.orbits);
+        panel.addButton('labels', t('menu.labels'), gridRect(1, 0.28), actions.toggleLabels, state.labels);
+        panel.addButton('trails', t('ui.trails'), gridRect(2, 0.28), actions.toggleTrails, state.trails);
+        panel.addButton('reset', t('menu.reset'), gridRect(3, 0.28), actions.reset);
+
+        // フォーカス先（先頭は太陽系全体）
+        panel.addButton('previousPage', '◀', [0.66, 0.39, 0.14, 0.07], () => this.turnPage(-1, pageCount));
+        panel.addButton('nextPage', '▶', [0.82, 0.39, 0.14, 0.07], () => this.turnPage(1, pageCount));
+
+        const items = [{ id: null, name: t('focus.overview') }, ...state.bodies];
+        items.slice(this.page * BODIES_PER_PAGE, (this.page + 1) * BODIES_PER_PAGE).forEach((item, index) => {
+            const rect = [0.04 + (index % 2) * 0.47, 0.48 + Math.floor(index / 2) * 0.095, 0.45, 0.08];
+            panel.addButton(`focus-${item.id}`, item.name, rect, () => actions.focus(item.id), item.id === state.focusId);
+        });
+
+        // 共有セッションの参加者は、発表者から離れる・戻るボタンを並べる
+        if (state.sharing === 'following' || state.sharing === 'detached') {
+            const label = t(state.sharing === 'detached' ? 'menu.rejoin' : 'sharing.detach');
+            panel.addButton('detach', label, [0.04, 0.88, 0.45, 0.09], actions.toggleDetached, state.sharing === 'detached');
+            panel.addButton('exit', t('menu.exitXR'), [0.51, 0.88, 0.45, 0.09], actions.exit);
+        } else {
+            panel.addButton('exit', t('menu.exitXR'), [0.04, 0.88, 0.92, 0.09], actions.exit);
+        }
+    }
+
+    turnPage(step, pageCount) {
+        this.page = (this.page + step + pageCount) % pageCount;
+        this.update(this.state);
+    }
+
+    draw(state, pageCount) {
+        const panel = this.panel;
+        const ctx = panel.context;
+        const { width, height } = panel.canvas;
+        const padding = width * 0.04;
+
+        panel.clear();
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${Math.round(height * 0.05)}px Arial, sans-serif`;
+        ctx.fillText(state.date, padding, height * 0.035);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = `${Math.round(height * 0.035)}px Arial, sans-serif`;
+        ctx.fillText(state.speed, padding, height * 0.1);
+        ctx.fillText(t('menu.focusPage', { page: this.page + 1, count: pageCount }), padding, height * 0.405);
+
+        panel.drawButtons();
+        panel.texture.needsUpdate = true;
+    }
+
+    // 手首に付ける（grip: コントローラーのグリップ空間）
+    attachToWrist(grip) {
+        if (this.attachment === grip) return;
+        this.attachment = grip;
+        grip.add(this.mesh);
+
+        // 手の甲の側に、手前へ傾けて置く
+        this.mesh.position.set(0, 0.05, 0.12);
+        this.mesh.rotation.set(-Math.PI / 3, 0, 0);
+    }
+
+    // hand: 'left' | 'right'（手首に付ける手、浮かぶパネルを出す側）
+    setHand(hand) {
+        this.hand = hand;
+        this.isFloatPlaced = false;
+    }
+
+    detachFromWrist(scene) {
+        if (!this.attachment) return;
+        this.attachment = null;
+        this.isFloatPlaced = false;
+        scene.add(this.mesh);
+    }
+
+    // 手首のパネルは視点の方を向いたときだけ、浮かぶパネルは視線から離れすぎたら置き直す
+    updatePlacement(camera) {
+        const cameraPosition = camera.getWorldPosition(new THREE.Vector3());
+        const panelPosition = this.mesh.getWorldPosition(new THREE.Vector3());
+        const toCamera = cameraPosition.clone().sub(panelPosition).normalize();
+
+        if (this.attachment) {
+            const normal = new THREE.Vector3(0, 0, 1).transformDirection(this.mesh.matrixWorld);
+            this.mesh.visible = this.attachment.visible && normal.dot(toCamera) > WRIST_FACING;
+            return;
+        }
+
+        this.mesh.visible = true;
+        const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+        const toPanel = toCamera.negate().setY(0).normalize();
+        if (this.isFloatPlaced && forward.angleTo(toPanel) < FLOAT_FOLLOW_ANGLE) return;
+
+        // 視線を水平に左へ回した方向の、目より少し下
+        const direction = forward.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.hand === 'right' ? -FLOAT_ANGLE : FLOAT_ANGLE);
+        this.mesh.position.copy(cameraPosition).addScaledVector(direction, FLOAT_DISTANCE);
+        this.mesh.position.y -= 0.15;
+        this.mesh.lookAt(cameraPosition);
+        this.isFloatPlaced = true;
+    }
+
+    hide() {
+        this.mesh.visible = false;
+        this.isFloatPlaced = false;
+    }
+}
@@ -0,0 +1,131 @@
+// XR用ワールド空間パネル - Canvasに描いたテキストを板ポリゴンに貼って表示する
+// （XRセッション中はHTMLのオーバーレイが見えないため）
+import * as THREE from 'three';
+
+export class XRPanel {
+    constructor(width = 0.3, height = 0.18, resolution = 768) {
+        this.width = width;
+        this.height = height;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = resolution;
+        this.canvas.height = Math.round(resolution * height / width);
+        this.context = this.canvas.getContext('2d');
+        
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+        this.mesh.renderOrder = 10; // 天体より手前に描画
+        this.mesh.visible = false;
+        this.mesh.userData.panel = this;
+        
+        // ボタン（rect はパネル左上を原点とした 0〜1 の [x, y, 幅, 高さ]）
+        this.buttons = [];
+    }
+    
+    // active: 入になっている切り替えボタンは色を変えて描く
+    addButton(id, label, rect, onPress, active = false) {
+        this.buttons.push({ id, label, rect, onPress, active });
+    }
+    
+    clearButtons() {
+        this.buttons = [];
+    }
+    
+    // パネルのローカル座標上の点にあるボタン
+    buttonAt(localPoint) {
+        const u = localPoint.x / this.width + 0.5;
+        const v = 0.5 - localPoint.y / this.height;
+        
+        return this.buttons.find(({ rect: [x, y, w, h] }) =>
+            u >= x && u <= x + w && v >= y && v <= y + h
+        ) || null;
+    }
+    
+    // ワールド座標の点がボタンに触れていれば押す（指先で押す操作用）
+    // depth: パネル面からの許容距離（m）
+    buttonAtWorldPoint(worldPoint, depth = 0.015) {
+        if (!this.mesh.visible) return null;
+        
+        const localPoint = this.mesh.worldToLocal(worldPoint.clone());
+        if (Math.abs(localPoint.z) > depth) return null;
+        return this.buttonAt(localPoint);
+    }
+    
+    drawButtons() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        
+        this.buttons.forEach(({ label, rect: [x, y, w, h], active }) => {
+            ctx.fillStyle = active ? 'rgba(102, 204, 255, 0.45)' : 'rgba(255, 255, 255, 0.2)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.roundRect(x * width, y * height, w * width, h * height, 12);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `${Math.round(h * height * 0.5)}px Arial, sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, (x + w / 2) * width, (y + h / 2) * height);
+            ctx.textAlign = 'start';
+        });
+    }
+    
+    clear() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(20, 24, 32, 0.85)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.roundRect(2, 2, width - 4, height - 4, 24);
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    // タイトルと [項目, 値] の行を描画
+    drawInfo(title, rows) {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const padding = width * 0.05;
+        const titleSize = Math.round(height * 0.13);
+        const rowSize = Math.round(Math.min(height * 0.08, (height - titleSize * 2) / Math.max(rows.length, 1) * 0.75));
+        
+        this.clear();
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${titleSize}px Arial, sans-serif`;
+        ctx.fillText(title, padding, padding);
+        
+        ctx.font = `${rowSize}px Arial, sans-serif`;
+        rows.forEach(([label, value], index) => {
+            const y = padding + titleSize * 1.5 + index * rowSize * 1.35;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText(label, padding, y);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(value, width * 0.5, y);
+        });
+        
+        this.drawButtons();
+        this.texture.needsUpdate = true;
+    }
+    
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.texture.dispose();
+    }
+}
@@ -0,0 +1,348 @@
+// 共有セッションの中継サーバー - 発表者の表示状態と参加者の頭・手の位置を同じ部屋の全員へ送る
+//
+// 起動: node server/relay.mjs [ポート]（既定 8080、環境変数 PORT でも指定可）
+// http://<ホスト>:<ポート>/ でリポジトリのファイルを配信し、WebSocket は /session?room=<部屋名> で受け付ける。
+// 最初の発表者が hello で発表者キー（key）を付けると、その部屋が続く間は同じキーを付けた人しか発表者になれない。
+// 外部のパッケージを使わないよう、WebSocket（RFC 6455）のハンドシェイクとフレームはここで読み書きする。
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_KEY_LENGTH = 128;
+const PING_INTERVAL = 30000; // ms（応答のない接続はこの間隔で切る）
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// ---- WebSocket のフレーム ----
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// buffer の先頭の1フレームを読む（足りなければ null）
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < offset + 2) return null;
+        length = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (length === 127) {
+        if (buffer.length < offset + 8) return null;
+        const bigLength = buffer.readBigUInt64BE(offset);
+        length = bigLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(bigLength);
+        offset += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) return { tooLarge: true };
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    return { fin, opcode, masked, payload, size: offset + maskLength + length };
+}
+
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // 分割されたメッセージの途中（[Buffer]）
+        this.alive = true;
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = decodeFrame(this.buffer))) {
+            if (frame.tooLarge) {
+                this.close(1009, 'message too large');
+                return;
+            }
+            if (!frame.masked) {
+                this.close(1002, 'client frames must be masked');
+                return;
+            }
+            this.buffer = this.buffer.subarray(frame.size);
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+                this.fragments = [payload];
+                this.isText = opcode === OPCODES.text;
+                break;
+            case OPCODES.continuation:
+                if (!this.fragments) {
+                    this.close(1002, 'unexpected continuation');
+                    return;
+                }
+                this.fragments.push(payload);
+                break;
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                return;
+            case OPCODES.pong:
+                this.alive = true;
+                return;
+            case OPCODES.close:
+                this.close(1000);
+                return;
+            default:
+                this.close(1002, 'unknown opcode');
+                return;
+        }
+
+        const message = Buffer.concat(this.fragments);
+        if (message.length > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'message too large');
+            return;
+        }
+        if (!fin) return;
+
+        this.fragments = null;
+        if (this.isText) this.onMessage(message.toString('utf8'));
+    }
+
+    send(text) {
+        if (!this.closed) this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.socket.write(encodeFrame(OPCODES.ping));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// ---- 部屋 ----
+
+const rooms = new Map(); // 部屋名 → { clients: Map<id, client>, presenterId, presenterKey, lastState }
+let nextClientId = 1;
+
+function getRoom(name) {
+    if (!rooms.has(name)) rooms.set(name, { clients: new Map(), presenterId: null, presenterKey: null, lastState: null });
+    return rooms.get(name);
+}
+
+function broadcast(room, message, exceptId = null) {
+    const text = JSON.stringify(message);
+    room.clients.forEach((client, id) => {
+        if (id !== exceptId && client.hello) client.connection.send(text);
+    });
+}
+
+function handleMessage(roomName, client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return;
+    }
+    const room = getRoom(roomName);
+
+    switch (message?.type) {
+        case 'hello': {
+            if (client.hello) return;
+            client.hello = true;
+            client.name = String(message.name || '').slice(0, 40); // 空なら各クライアントが表示する言語で「参加者<id>」にする
+            client.role = message.role === 'presenter' ? 'presenter' : 'follower';
+
+            // 発表者は部屋に1人だけ（先に入った人が抜けるまで、後から来た人は参加者になる）
+            // 発表者キーが決まっている部屋では、キーが合わない人も参加者になる
+            if (client.role === 'presenter') {
+                const key = typeof message.key === 'string' ? message.key.slice(0, MAX_KEY_LENGTH) : '';
+                if (room.presenterKey !== null && key !== room.presenterKey) {
+                    client.role = 'follower';
+                    client.connection.send(JSON.stringify({ type: 'error', code: 'presenter-key' }));
+                } else if (room.presenterId === null) {
+                    room.presenterId = client.id;
+                    if (key) room.presenterKey = key;
+                    room.lastState = null;
+                    broadcast(room, { type: 'presenter', id: client.id }, client.id);
+                } else {
+                    client.role = 'follower';
+                    client.connection.send(JSON.stringify({ type: 'error', code: 'presenter-taken' })); // 文言は各クライアントの表の sharing.error.<code>
+                }
+            }
+
+            const peers = [...room.clients.values()]
+                .filter(peer => peer !== client && peer.hello)
+                .map(peer => ({ id: peer.id, name: peer.name, role: peer.role }));
+            client.connection.send(JSON.stringify({ type: 'welcome', id: client.id, role: client.role, presenterId: room.presenterId, peers }));
+            if (room.lastState) client.connection.send(JSON.stringify({ type: 'state', state: room.lastState }));
+            broadcast(room, { type: 'join', id: client.id, name: client.name, role: client.role }, client.id);
+            console.log(`[${roomName}] ${client.name || client.id}（${client.role}）が参加: ${room.clients.size}人`);
+            break;
+        }
+        case 'state':
+            if (room.presenterId !== client.id) return;
+            room.lastState = message.state;
+            broadcast(room, { type: 'state', state: message.state }, client.id);
+            break;
+        case 'pose':
+            if (!client.hello) return;
+            broadcast(room, { type: 'pose', id: client.id, pose: message.pose }, client.id);
+            break;
+    }
+}
+
+function handleClose(roomName, client) {
+    const room = getRoom(roomName);
+    room.clients.delete(client.id);
+    broadcast(room, { type: 'leave', id: client.id });
+
+    if (room.presenterId === client.id) {
+        room.presenterId = null;
+        broadcast(room, { type: 'presenter', id: null });
+    }
+    if (room.clients.size === 0) rooms.delete(roomName);
+    console.log(`[${roomName}] ${client.name || client.id} が退出: ${room.clients.size}人`);
+}
+
+function handleUpgrade(request, socket) {
+    const url = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    if (url.pathname !== '/session' || !key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const roomName = (url.searchParams.get('room') || 'default').slice(0, 64);
+    const client = { id: nextClientId++, hello: false, name: null, role: 'follower', connection: null };
+    client.connection = new Connection(
+        socket,
+        text => handleMessage(roomName, client, text),
+        () => handleClose(roomName, client)
+    );
+    getRoom(roomName).clients.set(client.id, client);
+}
+
+// ---- 静的ファイル ----
+
+function serveFile(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch {
+        response.writeHead(400).end();
+        return;
+    }
+
+    // リポジトリの外と、.git などドットで始まる名前は配信しない
+    let filePath = path.resolve(ROOT, `.${pathname}`);
+    const isInside = filePath === ROOT || filePath.startsWith(ROOT + path.sep);
+    if (!isInside || path.relative(ROOT, filePath).split(path.sep).some(part => part.startsWith('.'))) {
+        response.writeHead(403).end();
+        return;
+    }
+    if (url.pathname.endsWith('/')) filePath = path.join(filePath, 'index.html');
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not Found');
+            return;
+        }
+        const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        response.writeHead(200, { 'Content-Type': type }).end(data);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405).end();
+        return;
+    }
+    serveFile(request, response);
+});
+server.on('upgrade', handleUpgrade);
+
+setInterval(() => {
+    rooms.forEach(room => room.clients.forEach(client => client.connection.ping()));
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, () => {
+    console.log(`共有セッションの中継サーバー: http://localhost:${PORT}/（WebSocket: ws://localhost:${PORT}/session?room=<部屋名>）`);
+});